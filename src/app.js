@@ -7,9 +7,45 @@ const App = {
     // Estado da aplicação
     canvas: null,
     currentCurve: [],
+    currentCurveParameters: null,
+    arcLengthTable: null,
+    arcLengthKey: null,
+    intersections: [],
+    offset: null,
+    documentCurves: [],
     isInitialized: false,
     animationFrame: null,
 
+    // Polilinhas das curvas do documento fora de edição, por id: {key, polylines}
+    documentCurveCache: {},
+
+    // Estado da visualização da construção (não persistido)
+    construction: {
+        enabled: false,
+        t: 0.5,
+        playing: false,
+        lastTime: null,
+        duration: 4000,
+        visibleLevels: null
+    },
+
+    // Parâmetro da curva sob o mouse (null se longe da curva)
+    hoverCurveT: null,
+    hoverCurvePoint: null,
+
+    // Estado da divisão de Bézier (não persistido)
+    split: {
+        t: 0.5,
+        preview: false,
+        picking: false
+    },
+
+    // Desenho à mão livre (não persistido): traço em andamento
+    sketch: {
+        active: false,
+        stroke: []
+    },
+
     /**
      * Inicializa a aplicação
      */
@@ -19,6 +55,9 @@ const App = {
         try {
             // Inicializa módulos
             DataManager.init();
+            CommandHistory.init({
+                onChange: () => UI.updateHistoryControls(CommandHistory.getStatus())
+            });
             
             // Configura canvas
             this.canvas = document.getElementById('canvas');
@@ -36,9 +75,58 @@ const App = {
                 onPointSelect: (index) => this.selectPoint(index),
                 onMouseMove: (coords) => this.handleMouseMove(coords),
                 onFindPointAt: (coords) => this.findPointAt(coords),
-                onSplineParameterChange: (params) => this.handleSplineParameterChange(params)
+                onSplineParameterChange: (params) => this.handleSplineParameterChange(params),
+                onKnotPresetChange: (knotType) => this.changeKnotPreset(knotType),
+                onKnotValueChange: (value) => this.moveKnot(KnotEditor.selectedIndex, value),
+                onSplitParameterChange: (params) => this.handleSplitParameterChange(params),
+                onCurvePick: (coords) => this.pickSplitParameter(coords),
+                onCurveInsert: (coords) => this.insertPointOnCurve(coords),
+                onMouseLeave: () => this.handleMouseLeave(),
+                onContextMenu: (coords) => this.openContextMenu(coords),
+                onSegmentActivate: (index) => this.activateBezierSegment(index),
+                onSegmentRemove: (index) => this.removeBezierSegment(index),
+                onConstructionChange: (params) => this.handleConstructionChange(params),
+                onSettingToggle: (key, value) => this.handleSettingToggle(key, value),
+                onCatmullRomParameterChange: (params) => this.handleCatmullRomParameterChange(params),
+                onSketchStart: (coords) => this.startSketch(coords),
+                onSketchMove: (coords) => this.extendSketch(coords),
+                onSketchEnd: () => this.finishSketch(),
+                onSketchToleranceChange: (value) => this.handleSketchToleranceChange(value),
+                onOverlayParameterChange: (params) => this.handleOverlayParameterChange(params),
+                onTessellationChange: (params) => this.handleTessellationChange(params),
+                onOffsetChange: (params) => this.handleOffsetChange(params),
+                onCurveSelect: (id) => this.selectCurve(id),
+                onCurveChange: (id, properties) => this.updateCurveProperties(id, properties),
+                onCurveMove: (id, delta) => this.moveCurve(id, delta),
+                onCurveRemove: (id) => this.removeCurve(id),
+                onImportFile: (file) => this.importFile(file),
+                onSvgOptionsChange: (params) => this.handleSvgOptionsChange(params),
+                onUndo: () => this.undo(),
+                onRedo: () => this.redo(),
+                onDragStart: () => CommandHistory.begin('Mover ponto'),
+                onDragEnd: () => {
+                    CommandHistory.end();
+                    this.refreshCurveLength();
+                }
             });
 
+            // Configura o gráfico de funções base
+            const basisCanvas = document.getElementById('basis-plot');
+            if (basisCanvas) {
+                BasisPlot.init(basisCanvas);
+            }
+
+            // Configura a régua do vetor de nós
+            const knotRuler = document.getElementById('knot-ruler');
+            if (knotRuler) {
+                KnotEditor.init(knotRuler, {
+                    onKnotChange: (index, value) => this.moveKnot(index, value),
+                    onKnotSelect: () => this.refresh(),
+                    onDragStart: () => CommandHistory.begin('Mover nó'),
+                    onDragEnd: () => CommandHistory.end()
+                });
+            }
+
             // Configura callbacks adicionais para UI
             UI.onPointWeightChange = (index, weight) => this.updatePointWeight(index, weight);
             UI.onPointCoordinateChange = (index, x, y) => this.updatePointCoordinates(index, x, y);
@@ -91,7 +179,9 @@ const App = {
      * @param {number} y - Coordenada Y
      */
     addPoint(x, y) {
-        const index = DataManager.addControlPoint(x, y);
+        if (!this.canEditActiveCurve()) return;
+
+        const index = DataManager.addControlPoint(x, y, this.getEditTarget());
         this.updateCurve();
         this.updateUI();
         this.selectPoint(index);
@@ -106,7 +196,9 @@ const App = {
      * @param {boolean} relative - Se o movimento é relativo
      */
     movePoint(index, x, y, relative = false) {
-        if (DataManager.updateControlPoint(index, x, y, null, relative)) {
+        if (!this.canEditActiveCurve(false)) return;
+
+        if (DataManager.updateControlPoint(index, x, y, this.getEditTarget(), relative)) {
             this.updateCurve();
             this.updateUI();
             this.render();
@@ -118,7 +210,9 @@ const App = {
      * @param {number} index - Índice do ponto
      */
     removePoint(index) {
-        if (DataManager.removeControlPoint(index)) {
+        if (!this.canEditActiveCurve()) return;
+
+        if (DataManager.removeControlPoint(index, this.getEditTarget())) {
             this.updateCurve();
             this.updateUI();
             this.render();
@@ -130,7 +224,7 @@ const App = {
      * @param {number} index - Índice do ponto
      */
     selectPoint(index) {
-        const points = DataManager.getControlPoints();
+        const points = DataManager.getControlPoints(this.getEditTarget());
         if (index >= 0 && index < points.length) {
             UI.setSelectedPoint(index);
             UI.loadPointData(points[index]);
@@ -147,7 +241,9 @@ const App = {
      * @param {number} weight - Novo peso
      */
     updatePointWeight(index, weight) {
-        if (DataManager.updatePointWeight(index, weight)) {
+        if (!this.canEditActiveCurve()) return;
+
+        if (DataManager.updatePointWeight(index, weight, this.getEditTarget())) {
             this.updateCurve();
             this.render();
         }
@@ -160,7 +256,9 @@ const App = {
      * @param {number} y - Nova coordenada Y
      */
     updatePointCoordinates(index, x, y) {
-        if (DataManager.updateControlPoint(index, x, y)) {
+        if (!this.canEditActiveCurve()) return;
+
+        if (DataManager.updateControlPoint(index, x, y, this.getEditTarget())) {
             this.updateCurve();
             this.updateUI();
             this.render();
@@ -173,7 +271,40 @@ const App = {
      * @returns {number} Índice do ponto ou -1
      */
     findPointAt(coords) {
-        return DataManager.findNearestPoint(coords);
+        return DataManager.findNearestPoint(coords, this.getEditTarget());
+    },
+
+    /**
+     * Indica se a aba de B-Spline está no modo de interpolação
+     * @returns {boolean} true se os cliques editam pontos de passagem
+     */
+    isInterpolating() {
+        return DataManager.getCurrentTab() === 'spline' &&
+            DataManager.getSettings().splineMode === 'interpolate';
+    },
+
+    /**
+     * Conjunto de pontos editado pelo mouse e pela lista de pontos
+     * @returns {string|null} 'splineData' no modo de interpolação ou null (aba atual)
+     */
+    getEditTarget() {
+        return this.isInterpolating() ? 'splineData' : null;
+    },
+
+    /**
+     * Verifica se a curva em edição aceita alterações (pontos, nós e comandos que a substituem)
+     * @param {boolean} notify - Mostra o motivo quando não aceita
+     * @param {string} curveType - Aba da curva alterada (default: aba atual)
+     * @returns {boolean} True se a curva está visível e desbloqueada
+     */
+    canEditActiveCurve(notify = true, curveType = null) {
+        const curve = DataManager.getActiveCurve(curveType);
+        if (!curve || (curve.visible && !curve.locked)) return true;
+
+        if (notify) {
+            this.showError(`${curve.name} está ${curve.locked ? 'bloqueada' : 'oculta'}`);
+        }
+        return false;
     },
 
     /**
@@ -185,13 +316,100 @@ const App = {
         
         // Atualiza ponto sob hover
         const hoveredIndex = this.findPointAt(coords);
+        const previousHovered = UI.getHoveredPoint();
         UI.setHoveredPoint(hoveredIndex);
+
+        // Projeção na curva: mostra t no canvas e alimenta o cursor do gráfico de funções base
+        const previousCurveT = this.hoverCurveT;
+        const projection = hoveredIndex < 0 && !UI.isDragging ? this.projectOnCurve(coords) : null;
+        this.hoverCurveT = projection ? projection.t : null;
+        this.hoverCurvePoint = projection ? projection.point : null;
         
-        if (hoveredIndex !== UI.getHoveredPoint()) {
+        if (hoveredIndex !== previousHovered || this.hoverCurveT !== previousCurveT) {
             this.render();
         }
     },
 
+    /**
+     * Limpa o destaque do mouse quando ele sai do canvas
+     */
+    handleMouseLeave() {
+        if (this.hoverCurvePoint === null && UI.getHoveredPoint() < 0) return;
+
+        UI.setHoveredPoint(-1);
+        this.hoverCurveT = null;
+        this.hoverCurvePoint = null;
+        this.render();
+    },
+
+    /**
+     * Liga/desliga uma configuração booleana a partir de um checkbox
+     * @param {string} key - Chave da configuração
+     * @param {boolean} value - Novo valor
+     */
+    handleSettingToggle(key, value) {
+        DataManager.updateSetting(key, value);
+
+        // Ao desligar a persistência, o histórico salvo é apagado
+        if (key === 'persistHistory') {
+            if (value) {
+                CommandHistory.save();
+            } else {
+                CommandHistory.forget();
+            }
+        }
+
+        this.refresh();
+    },
+
+    /**
+     * Executa várias edições do DataManager como um único passo do histórico
+     * @param {string} label - Descrição do comando
+     * @param {Function} action - Edições a agrupar
+     * @returns {*} Retorno de action
+     */
+    runCommand(label, action) {
+        CommandHistory.begin(label);
+        try {
+            return action();
+        } finally {
+            CommandHistory.end();
+        }
+    },
+
+    /**
+     * Desfaz a última edição
+     */
+    undo() {
+        const command = CommandHistory.undo();
+        if (!command) return;
+
+        this.afterHistoryChange();
+        this.showNotification(`Desfeito: ${command.label}`);
+    },
+
+    /**
+     * Refaz a última edição desfeita
+     */
+    redo() {
+        const command = CommandHistory.redo();
+        if (!command) return;
+
+        this.afterHistoryChange();
+        this.showNotification(`Refeito: ${command.label}`);
+    },
+
+    /**
+     * Limpa seleções que podem não existir no documento restaurado e redesenha
+     */
+    afterHistoryChange() {
+        UI.setSelectedPoint(-1);
+        KnotEditor.selectedIndex = -1;
+        this.hoverCurveT = null;
+        this.hoverCurvePoint = null;
+        this.refresh();
+    },
+
     /**
      * Manipula alterações nos controles de spline
      * @param {Object} params - Parâmetros atualizados
@@ -203,6 +421,16 @@ const App = {
         const hasDegree = Object.prototype.hasOwnProperty.call(params, 'degree');
         const hasStep = Object.prototype.hasOwnProperty.call(params, 'step');
 
+        if (params.mode === 'control' || params.mode === 'interpolate') {
+            this.changeSplineMode(params.mode);
+            shouldRefresh = true;
+        }
+
+        if (params.interpolation in CurveMath.parameterizationAlphas) {
+            DataManager.updateSetting('splineInterpolation', params.interpolation);
+            shouldRefresh = true;
+        }
+
         if (hasDegree) {
             const rawDegree = params.degree;
             if (typeof rawDegree === 'number' && !Number.isNaN(rawDegree)) {
@@ -233,32 +461,149 @@ const App = {
         }
     },
 
+    /**
+     * Manipula alterações nos controles de Catmull-Rom / Kochanek–Bartels
+     * @param {Object} params - Parâmetros atualizados {parameterization, tension, bias, continuity}
+     */
+    handleCatmullRomParameterChange(params = {}) {
+        DataManager.setCatmullRomOptions(params);
+        this.refresh();
+    },
+
+    /**
+     * Manipula alterações nos parâmetros da sobreposição de geometria diferencial
+     * @param {Object} params - Parâmetros atualizados {frameParameters, combScale}
+     */
+    handleOverlayParameterChange(params = {}) {
+        DataManager.setOverlayOptions(params);
+        this.refresh();
+    },
+
+    /**
+     * Manipula alterações no modo e nas tolerâncias da tesselação
+     * @param {Object} params - Parâmetros atualizados {mode, flatness, angle}
+     */
+    handleTessellationChange(params = {}) {
+        DataManager.setTessellationOptions(params);
+        this.refresh();
+    },
+
+    /**
+     * Manipula alterações na distância e no lado da curva paralela
+     * @param {Object} params - Parâmetros atualizados {distance, side}
+     */
+    handleOffsetChange(params = {}) {
+        DataManager.setOffsetOptions(params);
+        this.refresh();
+    },
+
+    /**
+     * Manipula alterações no modo da exportação SVG
+     * @param {Object} params - Parâmetros atualizados {mode}
+     */
+    handleSvgOptionsChange(params = {}) {
+        DataManager.setSvgOptions(params);
+        this.updateUI();
+    },
+
+    /**
+     * Adiciona a curva paralela atual como curvas secundárias da aba Bézier
+     */
+    addOffsetAsBezier() {
+        if (!this.canEditActiveCurve(true, 'bezier')) return;
+
+        if (!this.offset || this.offset.segments.length === 0) {
+            this.showError('Ative a curva paralela para poder adicioná-la');
+            return;
+        }
+
+        this.runCommand('Adicionar curva paralela', () => {
+            this.offset.segments.forEach(segment => DataManager.addBezierSegment(segment));
+        });
+        this.refresh();
+        this.showSuccess(`${this.offset.segments.length} curvas cúbicas adicionadas à aba Bézier`);
+    },
+
+    /**
+     * Alterna entre editar pontos de controle e interpolar pontos de passagem
+     * @param {string} mode - 'control' ou 'interpolate'
+     */
+    changeSplineMode(mode) {
+        if (DataManager.getSettings().splineMode === mode) return;
+
+        this.runCommand('Alterar modo da spline', () => {
+            if (mode === 'interpolate') {
+                // Curvas fechadas não são interpoladas; sem pontos de passagem, os pontos atuais viram o ponto de partida
+                DataManager.updateSetting('splineClosed', false);
+                if (DataManager.getControlPoints('splineData').length === 0) {
+                    DataManager.setControlPoints(DataManager.getControlPoints('spline').map(point => ({ ...point, weight: 1 })), 'splineData');
+                }
+            }
+
+            DataManager.updateSetting('splineMode', mode);
+        });
+        UI.setSelectedPoint(-1);
+        KnotEditor.selectedIndex = -1;
+    },
+
     /**
      * Atualiza a curva atual
      */
     updateCurve() {
         const currentTab = DataManager.getCurrentTab();
-        const points = DataManager.getControlPoints();
         const settings = DataManager.getSettings();
 
+        // No modo de interpolação a spline é recalculada a partir dos pontos de passagem
+        if (this.isInterpolating() && !DataManager.solveSplineInterpolation(settings.splineDegree)) {
+            this.showError('Não foi possível interpolar: há pontos de passagem repetidos');
+        }
+
+        const points = DataManager.getControlPoints();
+        this.currentCurveParameters = null;
+        this.intersections = [];
+        this.offset = null;
+        this.documentCurves = this.sampleDocumentCurves();
+
         if (points.length < 2) {
             this.currentCurve = [];
             return;
         }
 
         try {
-            if (currentTab === 'bezier') {
+            if (settings.tessellation === 'adaptive') {
+                // Subdivisão recursiva até a tolerância de planicidade/ângulo
+                const tessellation = CurveMath.tessellateCurve(
+                    this.getCurveDefinition(), settings.flatnessTolerance, settings.angleTolerance
+                );
+                this.currentCurve = tessellation.points;
+                this.currentCurveParameters = tessellation.parameters;
+            } else if (currentTab === 'bezier') {
                 this.currentCurve = CurveMath.generateBezierCurve(points, settings.bezierSteps);
+            } else if (currentTab === 'catmullrom') {
+                this.currentCurve = CurveMath.generateCatmullRomCurve(
+                    points, settings.catmullRomSteps, DataManager.getCatmullRomOptions()
+                );
             } else {
-                const desiredDegree = Math.max(1, Math.floor(settings.splineDegree || 1));
-                const maxDegree = Math.max(1, points.length - 1);
-                const effectiveDegree = Math.min(desiredDegree, maxDegree);
+                const spline = this.getSplineDefinition();
 
                 const rawStep = typeof settings.splineStep === 'number' ? settings.splineStep : 0.01;
                 const clampedStep = Math.max(0.001, Math.min(0.1, rawStep));
                 const steps = Math.max(2, Math.ceil(1 / clampedStep));
 
-                this.currentCurve = CurveMath.generateBSplineCurve(points, effectiveDegree, steps);
+                this.currentCurve = CurveMath.generateBSplineCurve(
+                    spline.controlPoints, spline.degree, steps, spline.knots
+                );
+            }
+
+            this.updateArcLength(settings);
+
+            if (settings.showIntersections) {
+                this.intersections = this.findIntersections();
+            }
+
+            if (settings.showOffset && settings.offsetDistance > 0) {
+                const sign = settings.offsetSide === 'left' ? 1 : -1;
+                this.offset = CurveMath.offsetCurve(this.getCurveDefinition(), sign * settings.offsetDistance);
             }
         } catch (error) {
             console.error('Erro ao gerar curva:', error);
@@ -267,155 +612,1769 @@ const App = {
     },
 
     /**
-     * Atualiza elementos da interface
+     * Amostra as curvas visíveis do documento que não estão em edição; cada curva
+     * só é tesselada de novo quando seus dados mudam ou ela volta a aparecer
+     * @returns {Array} Polilinhas {name, color, curve}
      */
-    updateUI() {
-        const currentTab = DataManager.getCurrentTab();
-        const points = DataManager.getControlPoints();
-        const statistics = DataManager.getCurveStatistics();
-        const settings = DataManager.getSettings();
+    sampleDocumentCurves() {
+        const active = DataManager.getActiveCurve();
+        const cache = {};
+        const samples = [];
 
-        // Atualiza lista de pontos
-        UI.updatePointsList(points);
+        DataManager.getCurves().forEach(curve => {
+            if (curve === active || !curve.visible) return;
 
-        // Atualiza informações da curva
-        UI.updateCurveInfo(statistics.degree, currentTab);
-        UI.updateSplineControls(settings);
+            // As curvas em edição nas outras abas devolvem uma cópia nova dos dados a
+            // cada consulta, por isso a comparação é pelo conteúdo
+            const key = JSON.stringify(DataManager.getCurveData(curve));
+            const cached = this.documentCurveCache[curve.id];
+            const polylines = cached && cached.key === key
+                ? cached.polylines
+                : this.getDocumentCurveDefinitions(curve).map(definition => CurveMath.tessellateCurve(definition).points);
+            cache[curve.id] = { key, polylines };
 
-        // Atualiza validação
-        const validation = DataManager.validateCurrentCurve();
-        this.updateValidationUI(validation);
+            polylines.forEach(points => {
+                samples.push({ name: curve.name, color: curve.color, curve: points });
+            });
+        });
+
+        // Curvas ocultas, em edição ou removidas saem do cache
+        this.documentCurveCache = cache;
+        return samples;
     },
 
     /**
-     * Atualiza UI de validação
-     * @param {Object} validation - Resultado da validação
+     * Monta as definições genéricas de uma curva do documento a partir dos seus dados
+     * (uma curva de Bézier inclui suas curvas secundárias)
+     * @param {Object} curve - Curva do documento
+     * @returns {Array} Definições {type, ...} para CurveMath.evaluateCurve
      */
-    updateValidationUI(validation) {
-        // Aqui você pode adicionar indicadores visuais de validação
-        if (!validation.isValid) {
-            console.warn('Curva inválida:', validation.errors);
+    getDocumentCurveDefinitions(curve) {
+        const data = DataManager.getCurveData(curve);
+        const points = data ? data.controlPoints : [];
+
+        if (curve.type === 'bezier') {
+            return [points].concat(data ? data.segments || [] : [])
+                .filter(controlPoints => controlPoints.length >= 2)
+                .map(controlPoints => ({ type: 'bezier', controlPoints }));
+        }
+
+        if (points.length < 2) return [];
+
+        if (curve.type === 'catmullrom') {
+            return [{ type: 'path', segments: CurveMath.catmullRomBezierSegments(points, data) }];
+        }
+
+        const degree = Math.min(Math.max(1, Math.floor(data.degree || 1)), points.length - 1);
+        if (data.closed && data.mode !== 'interpolate') {
+            const periodic = CurveMath.buildPeriodicBSpline(points, degree);
+            return [{ type: 'spline', controlPoints: periodic.controlPoints, degree, knots: periodic.knots }];
         }
+
+        // Vetores salvos que não combinam mais com os pontos são regenerados pelo preset
+        const knots = CurveMath.isValidKnotVector(data.knots, points.length, degree)
+            ? data.knots
+            : CurveMath.generateKnotVector(points.length, degree, data.knotType === 'custom' ? 'clamped' : data.knotType);
+        return [{ type: 'spline', controlPoints: points, degree, knots }];
     },
 
     /**
-     * Renderiza a cena atual
+     * Reamostra a curva atual em pontos igualmente espaçados (mesmo número de amostras)
+     * quando a amostragem por comprimento de arco está ligada
+     * @param {Object} settings - Configurações atuais
      */
-    render() {
-        const currentTab = DataManager.getCurrentTab();
-        const points = DataManager.getControlPoints();
-        const settings = DataManager.getSettings();
+    updateArcLength(settings) {
+        if (!settings.arcLengthSampling || this.currentCurve.length < 2) return;
 
-        const scene = {
-            controlPoints: points,
-            curve: this.currentCurve,
-            selectedPoint: UI.getSelectedPoint(),
-            hoveredPoint: UI.getHoveredPoint(),
-            showConstructionLines: settings.showConstructionLines,
-            showDebugInfo: settings.showDebugInfo,
-            curveType: currentTab
-        };
+        const curve = this.getCurveDefinition();
+        if (!curve) return;
 
-        Renderer.renderScene(scene);
+        const resampled = CurveMath.resampleByArcLength(curve, this.currentCurve.length - 1, this.getArcLengthTable());
+        this.currentCurve = resampled.points;
+        this.currentCurveParameters = resampled.parameters;
     },
 
     /**
-     * Alterna entre abas
-     * @param {string} tab - Nome da aba ('bezier' ou 'spline')
+     * Tabela de comprimento de arco da curva atual, montada sob demanda
+     * e reaproveitada enquanto a definição da curva não mudar
+     * @returns {Object|null} Tabela de CurveMath.buildArcLengthTable, ou null sem curva
      */
-    switchTab(tab) {
-        if (tab !== 'bezier' && tab !== 'spline') return;
+    getArcLengthTable() {
+        const curve = this.getCurveDefinition();
+        if (!curve) return null;
 
-        // Atualiza DataManager
-        DataManager.setCurrentTab(tab);
+        const key = JSON.stringify(curve);
+        if (key !== this.arcLengthKey) {
+            this.arcLengthTable = CurveMath.buildArcLengthTable(curve);
+            this.arcLengthKey = key;
+        }
+        return this.arcLengthTable;
+    },
 
-        // Atualiza interface visual
-        document.querySelectorAll('.tab-button').forEach(btn => {
-            btn.classList.remove('active');
-        });
-        document.querySelectorAll('.tab-content').forEach(content => {
-            content.classList.remove('active');
+    /**
+     * Atualiza o comprimento mostrado no painel; durante o arrasto de um ponto
+     * a tabela não é remontada a cada movimento (o valor é atualizado ao soltar)
+     */
+    refreshCurveLength() {
+        if (UI.isDragging && !DataManager.getSettings().arcLengthSampling) return;
+
+        const table = this.getArcLengthTable();
+        UI.updateCurveLength(table ? table.total : null);
+    },
+
+    /**
+     * Procura autointerseções e cruzamentos entre as curvas visíveis da aba
+     * (a curva em edição e, na Bézier, as curvas secundárias)
+     * @returns {Array} Interseções {t1, t2, x, y, first, second} com os nomes das curvas
+     */
+    findIntersections() {
+        const curve = this.getCurveDefinition();
+        if (!curve) return [];
+
+        const curves = [{ label: 'Em edição', curve }];
+        if (DataManager.getCurrentTab() === 'bezier') {
+            DataManager.getBezierSegments().forEach((segment, index) => {
+                if (segment.length >= 2) {
+                    curves.push({ label: `Curva ${index + 2}`, curve: { type: 'bezier', controlPoints: segment } });
+                }
+            });
+        }
+
+        // Demais curvas visíveis do documento
+        const active = DataManager.getActiveCurve();
+        DataManager.getCurves().forEach(item => {
+            if (item === active || !item.visible) return;
+
+            const definitions = this.getDocumentCurveDefinitions(item);
+            definitions.forEach((definition, index) => {
+                const label = definitions.length > 1 ? `${item.name} (${index + 1})` : item.name;
+                curves.push({ label, curve: definition });
+            });
         });
 
-        // Ativa aba selecionada
-        const activeButton = document.querySelector(`[onclick="app.switchTab('${tab}')"]`);
-        const activeContent = document.getElementById(`${tab}-tab`);
-        
-        if (activeButton) activeButton.classList.add('active');
-        if (activeContent) activeContent.classList.add('active');
+        // Junções entre extremidades (curvas encadeadas) não são cruzamentos
+        const isEnd = (t) => t < 1e-9 || t > 1 - 1e-9;
+        const results = [];
 
-        // Limpa seleção e atualiza
-        UI.setSelectedPoint(-1);
-        this.updateCurve();
-        this.updateUI();
-        this.render();
+        curves.forEach((a, i) => {
+            CurveMath.selfIntersections(a.curve).forEach(hit => {
+                results.push({ ...hit, first: a.label, second: a.label });
+            });
+
+            curves.slice(i + 1).forEach(b => {
+                CurveMath.intersectCurves(a.curve, b.curve)
+                    .filter(hit => !(isEnd(hit.t1) && isEnd(hit.t2)))
+                    .forEach(hit => results.push({ ...hit, first: a.label, second: b.label }));
+            });
+        });
+
+        return results;
     },
 
     /**
-     * Limpa todos os pontos da aba atual
+     * Monta a definição genérica da curva da aba atual para CurveMath.evaluateCurve
+     * (Catmull-Rom vira um caminho de Béziers cúbicas)
+     * @returns {Object|null} Definição {type, ...} ou null se a curva não existe
      */
-    clearPoints() {
-        DataManager.clearControlPoints();
-        UI.setSelectedPoint(-1);
-        this.currentCurve = [];
-        this.updateUI();
-        this.render();
+    getCurveDefinition() {
+        const currentTab = DataManager.getCurrentTab();
+
+        if (currentTab === 'spline') {
+            const spline = this.getSplineDefinition();
+            return spline && spline.knots ? { type: 'spline', ...spline } : null;
+        }
+
+        const points = DataManager.getControlPoints(currentTab);
+        if (points.length < 2) return null;
+
+        if (currentTab === 'catmullrom') {
+            return {
+                type: 'path',
+                segments: CurveMath.catmullRomBezierSegments(points, DataManager.getCatmullRomOptions())
+            };
+        }
+
+        return { type: 'bezier', controlPoints: points };
     },
 
     /**
-     * Copia pontos de Bézier para Spline
+     * Avança um parâmetro ao longo da curva; com amostragem por comprimento de arco
+     * o avanço é uma fração do comprimento (velocidade constante)
+     * @param {number} t - Parâmetro atual (0 a 1)
+     * @param {number} fraction - Fração do percurso a avançar
+     * @returns {number} Novo parâmetro (volta a 0 ao passar do fim)
      */
-    copyFromBezier() {
-        DataManager.copyBezierToSpline();
-        if (DataManager.getCurrentTab() === 'spline') {
-            this.updateCurve();
-            this.updateUI();
-            this.render();
+    advanceParameter(t, fraction) {
+        const table = DataManager.getSettings().arcLengthSampling ? this.getArcLengthTable() : null;
+        const curve = this.getCurveDefinition();
+
+        if (table && table.total > 0 && curve) {
+            const length = CurveMath.lengthAtParameter(curve, table, t) + fraction * table.total;
+            return length > table.total ? 0 : CurveMath.parameterAtLength(curve, table, length);
         }
+
+        const next = t + fraction;
+        return next > 1 ? 0 : next;
     },
 
     /**
-     * Exporta dados da curva atual
+     * Monta a definição da B-Spline atual (pontos, grau efetivo e vetor de nós)
+     * Em curvas fechadas os primeiros pontos são repetidos no final e o vetor é periódico
+     * @returns {Object|null} Definição {controlPoints, degree, knots, closed, interpolated, pointCount} ou null
      */
-    exportData() {
-        try {
-            const data = DataManager.exportCurveData();
-            const jsonString = JSON.stringify(data, null, 2);
-            
-            // Cria download do arquivo
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `curva_${data.type}_${new Date().toISOString().split('T')[0]}.json`;
-            a.click();
-            URL.revokeObjectURL(url);
+    getSplineDefinition() {
+        const points = DataManager.getControlPoints('spline');
+        const settings = DataManager.getSettings();
 
-            // Mostra preview no console
-            console.log('Dados exportados:', data);
-            
-            // Feedback visual
-            this.showSuccess('Dados exportados com sucesso!');
-        } catch (error) {
-            console.error('Erro ao exportar:', error);
-            this.showError('Erro ao exportar dados');
+        if (points.length < 2) return null;
+
+        const desiredDegree = Math.max(1, Math.floor(settings.splineDegree || 1));
+        const degree = Math.min(desiredDegree, points.length - 1);
+
+        const interpolated = settings.splineMode === 'interpolate';
+
+        if (settings.splineClosed && !interpolated) {
+            const periodic = CurveMath.buildPeriodicBSpline(points, degree);
+            return {
+                controlPoints: periodic.controlPoints,
+                degree,
+                knots: periodic.knots,
+                closed: true,
+                interpolated,
+                pointCount: points.length
+            };
         }
+
+        return {
+            controlPoints: points,
+            degree,
+            knots: DataManager.getSplineKnots(degree),
+            closed: false,
+            interpolated,
+            pointCount: points.length
+        };
     },
 
     /**
-     * Importa dados de curva
-     * @param {Object} data - Dados para importar
+     * Verifica se o vetor de nós pode ser editado (curvas fechadas usam vetor
+     * periódico fixo e a interpolação calcula o próprio vetor)
+     * @param {Object|null} spline - Definição da spline
+     * @returns {boolean} true se a edição foi bloqueada
      */
-    importData(data) {
-        try {
-            if (DataManager.importCurveData(data)) {
-                this.updateCurve();
-                this.updateUI();
-                this.render();
-                this.showSuccess('Dados importados com sucesso!');
-                return true;
-            } else {
-                this.showError('Formato de dados inválido');
+    isKnotEditingLocked(spline) {
+        if (!spline) return false;
+
+        if (spline.closed) {
+            this.showError('Curvas fechadas usam vetor de nós periódico fixo');
+            return true;
+        }
+        if (spline.interpolated) {
+            this.showError('O vetor de nós é calculado pela interpolação');
+            return true;
+        }
+        return false;
+    },
+
+    /**
+     * Avalia a spline passo a passo no t da construção
+     * (t da construção vai de 0 a 1 e é mapeado para o domínio [u_p, u_n])
+     * @returns {Object|null} Resultado de CurveMath.deBoorSteps
+     */
+    getDeBoorSteps() {
+        const spline = this.getSplineDefinition();
+        if (!spline || !spline.knots) return null;
+
+        const n = spline.controlPoints.length;
+        const start = spline.knots[spline.degree];
+        const end = spline.knots[n];
+        const u = start + this.construction.t * (end - start);
+        const steps = CurveMath.deBoorSteps(spline.controlPoints, spline.degree, spline.knots, u);
+
+        // Pontos repetidos da curva fechada apontam para os originais
+        steps.influencingIndices = steps.influencingIndices.map(index => index % spline.pointCount);
+        return steps;
+    },
+
+    /**
+     * Amostra o trecho da spline correspondente a um intervalo de nós
+     * @param {Array} spanRange - Intervalo [u_k, u_k+1]
+     * @returns {Array} Pontos da curva nesse trecho
+     */
+    sampleSplineSpan(spanRange) {
+        const spline = this.getSplineDefinition();
+        const samples = 30;
+        const curve = [];
+
+        for (let i = 0; i <= samples; i++) {
+            const u = spanRange[0] + (i / samples) * (spanRange[1] - spanRange[0]);
+            curve.push(CurveMath.bSplinePoint(spline.controlPoints, u, spline.degree, spline.knots));
+        }
+        return curve;
+    },
+
+    /**
+     * Move um nó do vetor de nós
+     * @param {number} index - Índice do nó
+     * @param {number} value - Novo valor do nó
+     */
+    moveKnot(index, value) {
+        if (!this.canEditActiveCurve(false)) return;
+
+        const spline = this.getSplineDefinition();
+        if (!spline || index < 0 || index >= spline.knots.length) return;
+        if (this.isKnotEditingLocked(spline)) return;
+
+        // Mantém o vetor não decrescente
+        const knots = spline.knots;
+        const min = index > 0 ? knots[index - 1] : 0;
+        const max = index < knots.length - 1 ? knots[index + 1] : 1;
+        knots[index] = Math.max(min, Math.min(max, value));
+
+        if (DataManager.setSplineKnots(knots, spline.degree)) {
+            this.refresh();
+        }
+    },
+
+    /**
+     * Aplica um preset ao vetor de nós
+     * @param {string} knotType - Preset ('clamped', 'unclamped' ou 'uniform')
+     */
+    changeKnotPreset(knotType) {
+        if (!this.canEditActiveCurve()) {
+            // Devolve o seletor ao preset em uso
+            this.updateUI();
+            return;
+        }
+
+        const spline = this.getSplineDefinition();
+        if (this.isKnotEditingLocked(spline)) return;
+
+        DataManager.applyKnotPreset(knotType, spline ? spline.degree : DataManager.getSettings().splineDegree);
+        this.refresh();
+    },
+
+    /**
+     * Aumenta ou diminui a multiplicidade do nó selecionado na régua
+     * @param {number} delta - +1 para juntar um vizinho, -1 para separar uma repetição
+     */
+    changeKnotMultiplicity(delta) {
+        if (!this.canEditActiveCurve()) return;
+
+        const spline = this.getSplineDefinition();
+        const index = KnotEditor.selectedIndex;
+        if (!spline || index < 0 || index >= spline.knots.length) return;
+        if (this.isKnotEditingLocked(spline)) return;
+
+        const knots = spline.knots;
+        const value = knots[index];
+        let first = index;
+        let last = index;
+        while (first > 0 && knots[first - 1] === value) first--;
+        while (last < knots.length - 1 && knots[last + 1] === value) last++;
+
+        if (delta > 0) {
+            // Puxa o nó vizinho mais próximo para o mesmo valor
+            const next = last + 1 < knots.length ? last + 1 : -1;
+            const previous = first - 1;
+            const hasNext = next >= 0;
+            const hasPrevious = previous >= 0;
+            if (!hasNext && !hasPrevious) return;
+
+            const target = !hasPrevious || (hasNext && knots[next] - value <= value - knots[previous])
+                ? next
+                : previous;
+            knots[target] = value;
+        } else {
+            if (last === first) return;
+
+            // Afasta uma repetição até o meio do intervalo vizinho
+            if (last + 1 < knots.length) {
+                knots[last] = (value + knots[last + 1]) / 2;
+            } else {
+                knots[first] = (value + knots[first - 1]) / 2;
+            }
+        }
+
+        if (DataManager.setSplineKnots(knots, spline.degree)) {
+            this.refresh();
+        } else {
+            this.showError('Multiplicidade máxima é grau + 1');
+        }
+    },
+
+    /**
+     * Insere um nó em t sem alterar a forma da curva
+     */
+    insertKnot() {
+        if (!this.canEditActiveCurve()) return;
+
+        const spline = this.getSplineDefinition();
+        const { t } = UI.getKnotOperationParams();
+        if (!spline || Number.isNaN(t)) return;
+        if (this.isKnotEditingLocked(spline)) return;
+
+        const result = CurveMath.insertKnot(spline.controlPoints, spline.degree, spline.knots, t);
+        if (!result) {
+            const message = `Não é possível inserir nó em t = ${t}: fora do domínio ou multiplicidade máxima`;
+            UI.showKnotOperationResult(message);
+            this.showError(message);
+            return;
+        }
+
+        DataManager.setSplineGeometry(result.controlPoints, result.knots, spline.degree);
+        KnotEditor.selectedIndex = result.knots.indexOf(t);
+        UI.setSelectedPoint(-1);
+        UI.showKnotOperationResult(`Nó inserido em t = ${t} (${result.controlPoints.length} pontos)`);
+        this.refresh();
+    },
+
+    /**
+     * Tenta remover o nó selecionado na régua dentro da tolerância
+     */
+    removeSelectedKnot() {
+        if (!this.canEditActiveCurve()) return;
+
+        const spline = this.getSplineDefinition();
+        const index = KnotEditor.selectedIndex;
+        if (this.isKnotEditingLocked(spline)) return;
+        if (!spline || index < 0 || index >= spline.knots.length) {
+            UI.showKnotOperationResult('Selecione um nó na régua');
+            return;
+        }
+
+        const { tolerance } = UI.getKnotOperationParams();
+        const value = spline.knots[index];
+
+        // Pelo menos grau + 1 pontos precisam restar
+        if (spline.controlPoints.length <= spline.degree + 1) {
+            UI.showKnotOperationResult('A curva já tem o mínimo de pontos para o grau atual');
+            return;
+        }
+
+        const result = CurveMath.removeKnot(spline.controlPoints, spline.degree, spline.knots, value, tolerance);
+        if (!result.removed || !DataManager.setSplineGeometry(result.controlPoints, result.knots, spline.degree)) {
+            UI.showKnotOperationResult(`Nó u${index} = ${value.toFixed(3)} não pode ser removido com tolerância ${tolerance}px`);
+            return;
+        }
+
+        KnotEditor.selectedIndex = -1;
+        UI.setSelectedPoint(-1);
+        UI.showKnotOperationResult(`Nó removido (desvio máximo ${result.error.toFixed(3)}px)`);
+        this.refresh();
+    },
+
+    /**
+     * Manipula alterações nos controles de divisão
+     * @param {Object} params - Parâmetros atualizados {t, preview}
+     */
+    handleSplitParameterChange(params = {}) {
+        if (typeof params.t === 'number' && !Number.isNaN(params.t)) {
+            this.split.t = Math.max(0, Math.min(1, params.t));
+        }
+        if (typeof params.preview === 'boolean') {
+            this.split.preview = params.preview;
+        }
+
+        UI.updateSplitControls(this.split);
+        this.render();
+    },
+
+    /**
+     * Manipula alterações nos controles da construção
+     * @param {Object} params - Parâmetros atualizados {enabled, t}
+     */
+    handleConstructionChange(params = {}) {
+        if (typeof params.enabled === 'boolean') {
+            this.construction.enabled = params.enabled;
+            if (!params.enabled) this.stopConstructionPlayback();
+        }
+        if (typeof params.t === 'number' && !Number.isNaN(params.t)) {
+            this.construction.t = Math.max(0, Math.min(1, params.t));
+        }
+
+        UI.updateConstructionControls(this.construction);
+        this.render();
+    },
+
+    /**
+     * Inicia ou pausa a varredura de t de 0 a 1
+     */
+    toggleConstructionPlayback() {
+        if (this.construction.playing) {
+            this.stopConstructionPlayback();
+            UI.updateConstructionControls(this.construction);
+            return;
+        }
+
+        this.construction.enabled = true;
+        this.construction.playing = true;
+        this.construction.lastTime = null;
+        if (this.construction.t >= 1) this.construction.t = 0;
+
+        const step = (currentTime) => {
+            if (!this.construction.playing) return;
+
+            if (this.construction.lastTime !== null) {
+                const elapsed = currentTime - this.construction.lastTime;
+                this.construction.t = this.advanceParameter(this.construction.t, elapsed / this.construction.duration);
+            }
+            this.construction.lastTime = currentTime;
+
+            UI.updateConstructionControls(this.construction);
+            this.render();
+            this.animationFrame = requestAnimationFrame(step);
+        };
+
+        UI.updateConstructionControls(this.construction);
+        this.animationFrame = requestAnimationFrame(step);
+    },
+
+    /**
+     * Mostra a construção nível a nível
+     * @param {number} delta - +1 revela o próximo nível, -1 esconde o último
+     */
+    stepConstruction(delta) {
+        const spline = this.getSplineDefinition();
+        if (!spline) return;
+
+        this.construction.enabled = true;
+        this.stopConstructionPlayback();
+
+        const current = this.construction.visibleLevels === null
+            ? spline.degree
+            : this.construction.visibleLevels;
+        const next = Math.max(0, current + delta);
+
+        // Ao chegar no último nível, volta a mostrar a construção completa
+        this.construction.visibleLevels = next >= spline.degree ? null : next;
+
+        UI.updateConstructionControls(this.construction);
+        this.render();
+    },
+
+    /**
+     * Para a animação da construção
+     */
+    stopConstructionPlayback() {
+        this.construction.playing = false;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    },
+
+    /**
+     * Liga/desliga a escolha de t com clique sobre a curva
+     */
+    toggleSplitPick() {
+        this.split.picking = !this.split.picking;
+        UI.updateSplitControls(this.split);
+        this.render();
+    },
+
+    /**
+     * Liga/desliga o desenho à mão livre (abas de Bézier e B-Spline)
+     */
+    toggleSketchMode() {
+        if (DataManager.getCurrentTab() === 'catmullrom') {
+            this.showError('O desenho à mão livre está disponível nas abas Bézier e B-Spline');
+            return;
+        }
+        if (!this.sketch.active && !this.canEditActiveCurve()) return;
+
+        this.sketch.active = !this.sketch.active;
+        this.sketch.stroke = [];
+        if (this.sketch.active) {
+            this.split.picking = false;
+            UI.updateSplitControls(this.split);
+        }
+        this.refresh();
+    },
+
+    /**
+     * Atualiza a tolerância do ajuste do traço
+     * @param {number} value - Tolerância em pixels
+     */
+    handleSketchToleranceChange(value) {
+        DataManager.updateSetting('sketchTolerance', Math.max(0.5, Math.min(20, value)));
+        UI.updateSketchControls(this.sketch.active, DataManager.getSettings().sketchTolerance);
+    },
+
+    /**
+     * Começa um traço
+     * @param {Object} coords - Coordenadas {x, y}
+     */
+    startSketch(coords) {
+        this.sketch.stroke = [coords];
+        this.render();
+    },
+
+    /**
+     * Acrescenta um ponto ao traço (pontos muito próximos são ignorados)
+     * @param {Object} coords - Coordenadas {x, y}
+     */
+    extendSketch(coords) {
+        const stroke = this.sketch.stroke;
+        if (CurveMath.distance(stroke[stroke.length - 1], coords) < 2) return;
+
+        stroke.push(coords);
+        this.render();
+    },
+
+    /**
+     * Termina o traço e substitui a curva da aba atual pelo ajuste
+     */
+    finishSketch() {
+        const stroke = this.sketch.stroke;
+        this.sketch.stroke = [];
+
+        if (stroke.length < 2) {
+            this.render();
+            return;
+        }
+
+        const message = this.runCommand('Desenhar curva', () => this.fitSketch(stroke));
+        if (message) {
+            // Desliga o desenho para que os pontos ajustados possam ser refinados
+            this.sketch.active = false;
+            UI.setSelectedPoint(-1);
+            UI.showSketchResult(message);
+        }
+        this.refresh();
+    },
+
+    /**
+     * Ajusta um caminho de Béziers cúbicas (aba Bézier) ou uma B-spline (aba B-Spline) ao traço
+     * @param {Array} stroke - Pontos do traço {x, y}
+     * @returns {string|null} Resumo do ajuste ou null se falhou
+     */
+    fitSketch(stroke) {
+        const settings = DataManager.getSettings();
+        const tolerance = settings.sketchTolerance;
+
+        if (DataManager.getCurrentTab() === 'bezier') {
+            // O primeiro trecho vira a curva ativa e os demais substituem as curvas secundárias
+            const result = CurveMath.fitBezierPath(stroke, tolerance);
+            DataManager.setControlPoints(result.segments[0], 'bezier');
+            DataManager.setBezierSegments(result.segments.slice(1));
+
+            return `${result.segments.length} trecho(s) cúbico(s) — erro máximo ${result.error.toFixed(2)}px`;
+        }
+
+        // O ajuste é conferido antes de mexer nas configurações da spline
+        const result = CurveMath.fitBSplineToTolerance(stroke, settings.splineDegree, tolerance);
+        if (!result || !CurveMath.isValidKnotVector(result.knots, result.controlPoints.length, result.degree)) {
+            this.showError('Não foi possível ajustar uma B-Spline ao traço');
+            return null;
+        }
+
+        // O ajuste produz uma spline aberta editada pelos pontos de controle
+        this.changeSplineMode('control');
+        DataManager.updateSetting('splineClosed', false);
+        DataManager.setSplineGeometry(result.controlPoints, result.knots, result.degree);
+
+        const limitReached = result.error > tolerance ? ' (limite de pontos atingido)' : '';
+        return `${result.controlPoints.length} pontos de controle — erro máximo ${result.error.toFixed(2)}px${limitReached}`;
+    },
+
+    /**
+     * Define t de divisão a partir de um clique próximo à curva
+     * @param {Object} coords - Coordenadas do clique {x, y}
+     */
+    pickSplitParameter(coords) {
+        const t = this.findCurveParameterAt(coords);
+        if (t === null) {
+            this.showError('Clique mais perto da curva para escolher t');
+            return;
+        }
+
+        this.split.t = t;
+        this.split.picking = false;
+        this.split.preview = true;
+        UI.updateSplitControls(this.split);
+        this.render();
+    },
+
+    /**
+     * Projeta as coordenadas na curva atual
+     * @param {Object} coords - Coordenadas {x, y}
+     * @param {number} threshold - Distância máxima (default: 15)
+     * @returns {Object|null} {t, distance, point} ou null se longe da curva
+     */
+    projectOnCurve(coords, threshold = 15) {
+        const curve = this.getCurveDefinition();
+        if (!curve) return null;
+
+        const projection = CurveMath.nearestPointOnCurve(curve, coords);
+        return projection.distance <= threshold ? projection : null;
+    },
+
+    /**
+     * Insere um ponto onde o usuário clicou sobre a curva (Shift + clique)
+     * @param {Object} coords - Coordenadas do clique {x, y}
+     */
+    insertPointOnCurve(coords) {
+        const projection = this.projectOnCurve(coords);
+        if (!projection) {
+            this.showError('Segure Shift e clique sobre a curva para inserir um ponto');
+            return;
+        }
+
+        this.insertPointAtParameter(projection);
+    },
+
+    /**
+     * Insere um ponto na posição da sequência correspondente a t, sem mudar a forma
+     * quando possível: subdivisão na Bézier, inserção de nó na B-spline e, nas curvas
+     * interpoladoras, o próprio ponto projetado entre os vizinhos
+     * @param {Object} projection - Projeção {t, point} (ver CurveMath.nearestPointOnCurve)
+     */
+    insertPointAtParameter(projection) {
+        if (!this.canEditActiveCurve()) return;
+
+        const currentTab = DataManager.getCurrentTab();
+        const { t, point } = projection;
+        let index;
+
+        if (currentTab === 'bezier') {
+            // A metade esquerda continua em edição e termina no ponto clicado
+            const { left, right } = CurveMath.subdivideBezier(DataManager.getControlPoints('bezier'), t);
+            this.runCommand('Inserir ponto', () => {
+                DataManager.setControlPoints(left, 'bezier');
+                DataManager.addBezierSegment(right, 0);
+            });
+            index = left.length - 1;
+        } else if (currentTab === 'catmullrom') {
+            const count = DataManager.getControlPoints('catmullrom').length;
+            const segment = Math.min(count - 2, Math.floor(t * (count - 1)));
+            index = DataManager.addControlPoint(point.x, point.y, 'catmullrom', segment + 1);
+        } else if (this.isInterpolating()) {
+            // Entre os pontos de passagem cujos parâmetros cercam t
+            const settings = DataManager.getSettings();
+            const dataPoints = DataManager.getControlPoints('splineData');
+            const interpolation = CurveMath.interpolateBSpline(dataPoints, settings.splineDegree, settings.splineInterpolation);
+            const position = interpolation ? interpolation.parameters.filter(u => u < t).length : dataPoints.length;
+            index = DataManager.addControlPoint(point.x, point.y, 'splineData', position);
+        } else {
+            const spline = this.getSplineDefinition();
+            if (this.isKnotEditingLocked(spline)) return;
+
+            const n = spline.controlPoints.length;
+            const u = spline.knots[spline.degree] + t * (spline.knots[n] - spline.knots[spline.degree]);
+            const result = CurveMath.insertKnot(spline.controlPoints, spline.degree, spline.knots, u);
+            if (!result) {
+                this.showError(`Não é possível inserir nó em t = ${u.toFixed(3)}: multiplicidade máxima`);
+                return;
+            }
+
+            DataManager.setSplineGeometry(result.controlPoints, result.knots, spline.degree);
+            index = CurveMath.findNearestControlPoint(result.controlPoints, point, Infinity);
+        }
+
+        this.refresh();
+        this.selectPoint(index);
+        this.showSuccess(`Ponto inserido em t = ${t.toFixed(3)}`);
+    },
+
+    /**
+     * Monta e abre o menu de contexto do canvas
+     * @param {Object} coords - Coordenadas do clique direito {x, y}
+     */
+    openContextMenu(coords) {
+        const items = [];
+        const pointIndex = this.findPointAt(coords);
+        const projection = pointIndex < 0 ? this.projectOnCurve(coords) : null;
+
+        if (pointIndex >= 0) {
+            items.push({ label: `Remover ponto P${pointIndex + 1}`, action: () => this.removePoint(pointIndex) });
+        } else if (projection) {
+            const t = projection.t;
+            items.push({ label: `Inserir ponto em t = ${t.toFixed(3)}`, action: () => this.insertPointAtParameter(projection) });
+
+            if (DataManager.getCurrentTab() === 'bezier') {
+                items.push({
+                    label: 'Dividir curva aqui',
+                    action: () => {
+                        this.split.t = t;
+                        this.splitBezier();
+                    }
+                });
+            }
+
+            items.push({
+                label: 'Mostrar tangente/normal aqui',
+                action: () => {
+                    const settings = DataManager.getSettings();
+                    DataManager.setOverlayOptions({ frameParameters: settings.frameParameters.concat(t) });
+                    DataManager.updateSetting('showTangents', true);
+                    this.refresh();
+                }
+            });
+        } else {
+            items.push({ label: 'Adicionar ponto aqui', action: () => this.addPoint(coords.x, coords.y) });
+        }
+
+        // Outra curva do documento sob o clique pode passar a ser editada
+        const other = pointIndex < 0 ? this.findDocumentCurveAt(coords) : null;
+        if (other) {
+            items.push({ label: `Editar ${other.name}`, action: () => this.selectCurve(other.id) });
+        }
+
+        UI.showContextMenu(items);
+    },
+
+    /**
+     * Encontra o parâmetro t do ponto da curva mais próximo das coordenadas
+     * @param {Object} coords - Coordenadas {x, y}
+     * @param {number} threshold - Distância máxima (default: 15)
+     * @returns {number|null} Parâmetro t normalizado em [0, 1] ou null se longe da curva
+     */
+    findCurveParameterAt(coords, threshold = 15) {
+        const projection = this.projectOnCurve(coords, threshold);
+        return projection ? projection.t : null;
+    },
+
+    /**
+     * Divide a curva de Bézier em t
+     */
+    splitBezier() {
+        if (!this.canEditActiveCurve()) return;
+
+        const points = DataManager.getControlPoints('bezier');
+        if (points.length < 2) {
+            this.showError('A curva precisa de pelo menos 2 pontos para ser dividida');
+            return;
+        }
+
+        const { left, right } = CurveMath.subdivideBezier(points, this.split.t);
+        const mode = UI.getSplitMode();
+
+        this.runCommand('Dividir curva', () => {
+            if (mode === 'left') {
+                DataManager.setControlPoints(left, 'bezier');
+            } else if (mode === 'right') {
+                DataManager.setControlPoints(right, 'bezier');
+            } else {
+                // A metade esquerda continua em edição; a direita vira uma curva secundária
+                DataManager.setControlPoints(left, 'bezier');
+                DataManager.addBezierSegment(right, 0);
+            }
+        });
+
+        UI.setSelectedPoint(-1);
+        this.split.preview = false;
+        UI.updateSplitControls(this.split);
+        this.refresh();
+        this.showSuccess(`Curva dividida em t = ${this.split.t.toFixed(2)}`);
+    },
+
+    /**
+     * Eleva o grau da curva de Bézier mantendo a forma
+     */
+    elevateBezierDegree() {
+        if (!this.canEditActiveCurve()) return;
+
+        const points = DataManager.getControlPoints('bezier');
+        if (points.length < 2) {
+            UI.showDegreeResult('Adicione pelo menos 2 pontos');
+            return;
+        }
+
+        DataManager.setControlPoints(CurveMath.elevateBezierDegree(points), 'bezier');
+        UI.setSelectedPoint(-1);
+        UI.showDegreeResult(`Grau elevado para ${points.length} (curva inalterada)`);
+        this.refresh();
+    },
+
+    /**
+     * Reduz o grau da curva de Bézier pela melhor aproximação de mínimos quadrados
+     */
+    reduceBezierDegree() {
+        if (!this.canEditActiveCurve()) return;
+
+        const points = DataManager.getControlPoints('bezier');
+        const result = points.length >= 3 ? CurveMath.reduceBezierDegree(points) : null;
+        if (!result) {
+            UI.showDegreeResult('Não é possível reduzir o grau desta curva');
+            return;
+        }
+
+        // Pesos fora do intervalo permitido são limitados e aumentam o erro
+        const clamped = result.controlPoints.some(p => p.weight < 0.1 || p.weight > 3.0);
+        DataManager.setControlPoints(result.controlPoints, 'bezier');
+
+        const finalError = clamped
+            ? this.measureCurveDeviation(points, DataManager.getControlPoints('bezier'))
+            : result.error;
+
+        UI.setSelectedPoint(-1);
+        UI.showDegreeResult(
+            `Grau reduzido para ${points.length - 2}: erro máximo ${finalError.toFixed(2)}px` +
+            (clamped ? ' (pesos limitados a 0.1–3.0)' : '')
+        );
+        this.refresh();
+    },
+
+    /**
+     * Mede o desvio máximo entre duas curvas de Bézier amostradas
+     * @param {Array} pointsA - Pontos de controle da primeira curva
+     * @param {Array} pointsB - Pontos de controle da segunda curva
+     * @returns {number} Maior distância entre amostras de mesmo t
+     */
+    measureCurveDeviation(pointsA, pointsB) {
+        const curveA = CurveMath.generateBezierCurve(pointsA, 200);
+        const curveB = CurveMath.generateBezierCurve(pointsB, 200);
+        return curveA.reduce((max, point, index) => Math.max(max, CurveMath.distance(point, curveB[index])), 0);
+    },
+
+    /**
+     * Passa a editar uma curva secundária da aba de Bézier
+     * @param {number} index - Índice da curva secundária
+     */
+    activateBezierSegment(index) {
+        if (!this.canEditActiveCurve()) return;
+
+        if (DataManager.activateBezierSegment(index)) {
+            UI.setSelectedPoint(-1);
+            this.refresh();
+        }
+    },
+
+    /**
+     * Remove uma curva secundária da aba de Bézier
+     * @param {number} index - Índice da curva secundária
+     */
+    removeBezierSegment(index) {
+        if (!this.canEditActiveCurve()) return;
+
+        if (DataManager.removeBezierSegment(index)) {
+            this.refresh();
+        }
+    },
+
+    /**
+     * Atualiza elementos da interface
+     */
+    updateUI() {
+        const currentTab = DataManager.getCurrentTab();
+        const points = DataManager.getControlPoints();
+        const statistics = DataManager.getCurveStatistics();
+        const settings = DataManager.getSettings();
+
+        // Atualiza lista de pontos (pontos de passagem no modo de interpolação)
+        UI.updatePointsList(DataManager.getControlPoints(this.getEditTarget()));
+
+        // Atualiza informações da curva
+        UI.updateCurveInfo(statistics.degree, currentTab);
+        UI.updateSplineControls(settings);
+
+        if (currentTab === 'bezier') {
+            UI.updateBezierSegmentsList(points, DataManager.getBezierSegments());
+            UI.updateSplitControls(this.split);
+        }
+
+        UI.updateConstructionControls(this.construction);
+        UI.updateSketchControls(this.sketch.active, settings.sketchTolerance);
+        this.refreshCurveLength();
+        UI.updateOverlayControls(settings);
+        UI.updateIntersectionsList(settings.showIntersections ? this.intersections : null);
+        UI.updateOffsetControls(settings, this.offset);
+        UI.updateTessellationControls(DataManager.getTessellationOptions(), Math.max(0, this.currentCurve.length - 1));
+        UI.updateHistoryControls(CommandHistory.getStatus());
+        UI.updateCurvesList(this.getCurvesListItems());
+
+        if (currentTab === 'catmullrom') {
+            UI.updateCatmullRomControls(DataManager.getCatmullRomOptions());
+        }
+
+        if (currentTab === 'spline') {
+            const spline = this.getSplineDefinition();
+            const locked = Boolean(spline && (spline.closed || spline.interpolated));
+            UI.updateKnotControls(
+                spline ? spline.knots : null,
+                KnotEditor.selectedIndex,
+                locked ? 'uniform' : DataManager.getKnotType(spline ? spline.degree : settings.splineDegree),
+                locked
+            );
+        }
+
+        // Atualiza validação
+        const validation = DataManager.validateCurrentCurve();
+        this.updateValidationUI(validation);
+    },
+
+    /**
+     * Atualiza UI de validação
+     * @param {Object} validation - Resultado da validação
+     */
+    updateValidationUI(validation) {
+        // Aqui você pode adicionar indicadores visuais de validação
+        if (!validation.isValid) {
+            console.warn('Curva inválida:', validation.errors);
+        }
+    },
+
+    /**
+     * Renderiza a cena atual
+     */
+    render() {
+        const currentTab = DataManager.getCurrentTab();
+        const points = DataManager.getControlPoints();
+        const settings = DataManager.getSettings();
+
+        const activeCurve = DataManager.getActiveCurve();
+
+        const scene = {
+            controlPoints: points,
+            curve: this.currentCurve,
+            selectedPoint: UI.getSelectedPoint(),
+            hoveredPoint: UI.getHoveredPoint(),
+            showConstructionLines: settings.showConstructionLines,
+            showDebugInfo: settings.showDebugInfo,
+            curveType: currentTab,
+            curveColor: activeCurve ? activeCurve.color : null,
+            documentCurves: this.documentCurves,
+            inactiveCurves: [],
+            splitPreview: null,
+            construction: null
+        };
+
+        if (currentTab === 'bezier') {
+            scene.inactiveCurves = DataManager.getBezierSegments().map(segment => ({
+                controlPoints: segment,
+                curve: CurveMath.generateBezierCurve(segment, settings.bezierSteps)
+            }));
+
+            if (this.construction.enabled && points.length >= 2) {
+                const levels = CurveMath.deCasteljauLevels(points, this.construction.t)
+                    .map(level => CurveMath.fromHomogeneous(level));
+                scene.construction = { levels, point: levels[levels.length - 1][0] };
+            }
+
+            if ((this.split.preview || this.split.picking) && points.length >= 2) {
+                scene.splitPreview = {
+                    point: CurveMath.deCasteljauBezier(points, this.split.t),
+                    ...CurveMath.subdivideBezier(points, this.split.t)
+                };
+            }
+        }
+
+        if (currentTab === 'spline') {
+            const steps = this.construction.enabled ? this.getDeBoorSteps() : null;
+            if (steps) {
+                scene.construction = {
+                    levels: steps.levels,
+                    point: steps.point,
+                    firstLevel: 0,
+                    visibleLevels: this.construction.visibleLevels
+                };
+                scene.influencingPoints = steps.influencingIndices;
+                scene.spanCurve = this.sampleSplineSpan(steps.spanRange);
+            }
+            UI.updateDeBoorInfo(steps, this.construction.visibleLevels);
+        }
+
+        if (this.isInterpolating()) {
+            scene.controlPoints = DataManager.getControlPoints('splineData');
+            scene.computedControlPoints = points;
+        }
+
+        scene.sketchStroke = this.sketch.stroke;
+        scene.colorizePoints = settings.showBasisPlot;
+        scene.closedPolygon = currentTab === 'spline' && settings.splineClosed;
+        scene.differentialOverlay = this.buildDifferentialOverlay(settings);
+        scene.intersections = this.intersections;
+        scene.offset = this.offset;
+        scene.bezierDecomposition = currentTab === 'spline' && settings.showBezierDecomposition
+            ? this.getSplineBezierSegments()
+            : null;
+        scene.curveHover = this.hoverCurvePoint && !this.construction.enabled
+            ? { point: this.hoverCurvePoint, t: this.hoverCurveT }
+            : null;
+
+        // Curva em edição oculta: só as demais curvas do documento aparecem
+        if (activeCurve && !activeCurve.visible) {
+            Object.assign(scene, {
+                controlPoints: [],
+                curve: [],
+                inactiveCurves: [],
+                computedControlPoints: null,
+                construction: null,
+                splitPreview: null,
+                influencingPoints: [],
+                spanCurve: null,
+                differentialOverlay: null,
+                intersections: [],
+                offset: null,
+                bezierDecomposition: null,
+                curveHover: null
+            });
+        }
+
+        Renderer.renderScene(scene);
+        this.renderBasisPlot();
+
+        if (currentTab === 'spline' && KnotEditor.canvas) {
+            const spline = this.getSplineDefinition();
+            const steps = this.construction.enabled ? this.getDeBoorSteps() : null;
+            const locked = Boolean(spline && (spline.closed || spline.interpolated));
+            KnotEditor.render(spline ? spline.knots : [], spline ? spline.degree : 0, steps, locked);
+        }
+    },
+
+    /**
+     * Calcula tangentes, normais, pente de curvatura e inflexões da curva atual
+     * @param {Object} settings - Configurações atuais
+     * @returns {Object|null} {frames, comb, inflections} ou null se nada está ligado
+     */
+    buildDifferentialOverlay(settings) {
+        if (!settings.showTangents && !settings.showCurvatureComb && !settings.showInflections) {
+            return null;
+        }
+
+        const curve = this.getCurveDefinition();
+        if (!curve) return null;
+
+        const overlay = { frames: [], comb: [], inflections: [] };
+
+        // Tangente e normal unitárias (normal à esquerda do sentido de percurso)
+        if (settings.showTangents) {
+            settings.frameParameters.forEach(t => {
+                const derivatives = CurveMath.curveDerivatives(curve, t);
+                const speed = Math.hypot(derivatives.first.x, derivatives.first.y);
+                if (speed < 1e-9) return;
+
+                const tangent = { x: derivatives.first.x / speed, y: derivatives.first.y / speed };
+                overlay.frames.push({
+                    t,
+                    point: derivatives.point,
+                    tangent,
+                    normal: { x: -tangent.y, y: tangent.x }
+                });
+            });
+        }
+
+        // Dentes do pente: normal com comprimento proporcional à curvatura
+        if (settings.showCurvatureComb) {
+            const samples = 150;
+            const length = settings.combScale * 2000;
+            for (let i = 0; i <= samples; i++) {
+                const derivatives = CurveMath.curveDerivatives(curve, i / samples);
+                const speed = Math.hypot(derivatives.first.x, derivatives.first.y);
+                if (speed < 1e-9) continue;
+
+                const curvature = CurveMath.curvature(derivatives);
+                const point = derivatives.point;
+                overlay.comb.push({
+                    point,
+                    tip: {
+                        x: point.x - (derivatives.first.y / speed) * curvature * length,
+                        y: point.y + (derivatives.first.x / speed) * curvature * length
+                    }
+                });
+            }
+        }
+
+        if (settings.showInflections) {
+            overlay.inflections = CurveMath.findInflections(curve)
+                .map(t => CurveMath.evaluateCurve(curve, t));
+        }
+
+        return overlay;
+    },
+
+    /**
+     * Atualiza o painel de funções base da aba atual
+     */
+    renderBasisPlot() {
+        const builders = {
+            bezier: () => this.buildBezierBasisPlot(),
+            spline: () => this.buildSplineBasisPlot()
+        };
+        const builder = builders[DataManager.getCurrentTab()];
+
+        const panel = document.getElementById('basis-panel');
+        const visible = DataManager.getSettings().showBasisPlot && Boolean(builder);
+        if (panel) panel.classList.toggle('active', visible);
+        if (!visible || !BasisPlot.canvas) return;
+
+        BasisPlot.render(builder());
+    },
+
+    /**
+     * Amostra as funções base N_i,p (e as racionais R_i,p, se houver pesos) da spline
+     * @returns {Object|null} Dados para BasisPlot.render
+     */
+    buildSplineBasisPlot() {
+        const spline = this.getSplineDefinition();
+        if (!spline || !spline.knots) return null;
+
+        const { controlPoints, degree, knots } = spline;
+        const n = controlPoints.length;
+        const domain = [knots[degree], knots[n]];
+
+        // Em curvas fechadas as funções dos pontos repetidos pertencem aos originais
+        const plot = this.sampleBasisPlot(controlPoints, domain, u => {
+            const span = CurveMath.findKnotSpan(n, degree, u, knots);
+            const values = CurveMath.basisFunctions(span, u, degree, knots);
+            return controlPoints.map((point, i) => {
+                const j = i - (span - degree);
+                return j >= 0 && j <= degree ? values[j] : 0;
+            });
+        }, i => i % spline.pointCount);
+
+        return {
+            ...plot,
+            knots,
+            title: plot.isRational
+                ? `R_i,${degree}(u) (sólidas) e N_i,${degree}(u) (tracejadas)`
+                : `N_i,${degree}(u)`
+        };
+    },
+
+    /**
+     * Amostra os polinômios de Bernstein B_i,n (e as funções racionais
+     * w_i·B_i / Σ w_j·B_j, se houver pesos) da curva de Bézier
+     * @returns {Object|null} Dados para BasisPlot.render
+     */
+    buildBezierBasisPlot() {
+        const points = DataManager.getControlPoints('bezier');
+        if (points.length < 2) return null;
+
+        const degree = points.length - 1;
+        const plot = this.sampleBasisPlot(points, [0, 1], t => points.map((point, i) => CurveMath.bernstein(i, degree, t)));
+
+        return {
+            ...plot,
+            title: plot.isRational
+                ? `w_i·B_i,${degree} / Σ w_j·B_j,${degree} (sólidas) e B_i,${degree}(t) (tracejadas)`
+                : `B_i,${degree}(t)`
+        };
+    },
+
+    /**
+     * Amostra as funções base de uma curva e, se houver pesos, as funções racionais
+     * w_i·N_i / Σ w_j·N_j (comum aos gráficos da B-Spline e da Bézier)
+     * @param {Array} controlPoints - Pontos de controle {x, y, weight}
+     * @param {Array} domain - Domínio [início, fim] do parâmetro
+     * @param {Function} evaluate - Recebe u e devolve o valor da função base de cada ponto
+     * @param {Function} pointIndex - Ponto dono de cada função (default: o próprio índice)
+     * @returns {Object} {domain, samples, series, isRational, highlightIndex, cursorT}
+     */
+    sampleBasisPlot(controlPoints, domain, evaluate, pointIndex = i => i) {
+        const sampleCount = 200;
+        const samples = [];
+        const basis = controlPoints.map(() => []);
+        const rational = controlPoints.map(() => []);
+        const isRational = controlPoints.some(p => (p.weight || 1) !== 1);
+
+        for (let s = 0; s <= sampleCount; s++) {
+            const u = domain[0] + (s / sampleCount) * (domain[1] - domain[0]);
+            const values = evaluate(u);
+            const weightSum = values.reduce((sum, value, i) => sum + value * (controlPoints[i].weight || 1), 0);
+
+            samples.push(u);
+            values.forEach((value, i) => {
+                basis[i].push(value);
+                rational[i].push(weightSum ? value * (controlPoints[i].weight || 1) / weightSum : 0);
+            });
+        }
+
+        const series = basis.map((values, i) => ({
+            index: pointIndex(i),
+            values,
+            color: Renderer.getPointColor(pointIndex(i)),
+            dashed: isRational
+        }));
+        if (isRational) {
+            rational.forEach((values, i) => {
+                series.push({ index: pointIndex(i), values, color: Renderer.getPointColor(pointIndex(i)), dashed: false });
+            });
+        }
+
+        return {
+            domain,
+            samples,
+            series,
+            isRational,
+            highlightIndex: UI.getHoveredPoint() >= 0 ? UI.getHoveredPoint() : UI.getSelectedPoint(),
+            cursorT: this.getEvaluatedParameter(domain)
+        };
+    },
+
+    /**
+     * Parâmetro do ponto avaliado: t da construção, ou o ponto da curva sob o mouse
+     * @param {Array} domain - Domínio [início, fim] do parâmetro
+     * @returns {number|null} Parâmetro no domínio ou null
+     */
+    getEvaluatedParameter(domain) {
+        let t = null;
+        if (this.construction.enabled) {
+            t = this.construction.t;
+        } else if (this.hoverCurveT !== null) {
+            t = this.hoverCurveT;
+        }
+
+        return t === null ? null : domain[0] + t * (domain[1] - domain[0]);
+    },
+
+    /**
+     * Alterna entre abas
+     * @param {string} tab - Nome da aba ('bezier', 'spline' ou 'catmullrom')
+     */
+    switchTab(tab) {
+        if (!DataManager.pointKeys[tab]) return;
+
+        // Atualiza DataManager
+        DataManager.setCurrentTab(tab);
+
+        // Atualiza interface visual
+        document.querySelectorAll('.tab-button').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        document.querySelectorAll('.tab-content').forEach(content => {
+            content.classList.remove('active');
+        });
+
+        // Ativa aba selecionada
+        const activeButton = document.querySelector(`[onclick="app.switchTab('${tab}')"]`);
+        const activeContent = document.getElementById(`${tab}-tab`);
+        
+        if (activeButton) activeButton.classList.add('active');
+        if (activeContent) activeContent.classList.add('active');
+
+        // A régua de nós só faz sentido na aba de B-Spline
+        const knotEditor = document.getElementById('knot-editor');
+        if (knotEditor) knotEditor.classList.toggle('active', tab === 'spline');
+
+        // Limpa seleção e atualiza
+        UI.setSelectedPoint(-1);
+        this.split.picking = false;
+        this.sketch.active = false;
+        this.sketch.stroke = [];
+        this.stopConstructionPlayback();
+        this.updateCurve();
+        this.updateUI();
+        this.render();
+    },
+
+    /**
+     * Monta as linhas da lista de curvas do documento
+     * @returns {Array} Itens {id, name, typeName, color, visible, locked, active, pointCount}
+     */
+    getCurvesListItems() {
+        const active = DataManager.getActiveCurve();
+
+        return DataManager.getCurves().map(curve => {
+            const data = DataManager.getCurveData(curve);
+            const interpolated = curve.type === 'spline' && data && data.mode === 'interpolate';
+            const points = data ? (interpolated ? data.dataPoints : data.controlPoints) : [];
+
+            return {
+                id: curve.id,
+                name: curve.name,
+                typeName: DataManager.curveTypeNames[curve.type],
+                color: curve.color,
+                visible: curve.visible,
+                locked: curve.locked,
+                active: curve === active,
+                pointCount: points.length
+            };
+        });
+    },
+
+    /**
+     * Adiciona uma curva vazia do tipo da aba atual e passa a editá-la
+     */
+    addCurve() {
+        const curve = DataManager.addCurve();
+        this.afterCurveSelection();
+        this.showSuccess(`${curve.name} criada`);
+    },
+
+    /**
+     * Passa a editar uma curva do documento
+     * @param {string} id - Identificador da curva
+     */
+    selectCurve(id) {
+        const active = DataManager.getActiveCurve();
+        if (active && active.id === id) return;
+
+        if (DataManager.selectCurve(id)) {
+            this.afterCurveSelection();
+        }
+    },
+
+    /**
+     * Altera nome, cor, visibilidade ou bloqueio de uma curva
+     * @param {string} id - Identificador da curva
+     * @param {Object} properties - {name, color, visible, locked}
+     */
+    updateCurveProperties(id, properties) {
+        if (DataManager.updateCurveProperties(id, properties)) {
+            this.refresh();
+        }
+    },
+
+    /**
+     * Move uma curva na ordem de desenho
+     * @param {string} id - Identificador da curva
+     * @param {number} delta - -1 para trás, +1 para frente
+     */
+    moveCurve(id, delta) {
+        if (DataManager.moveCurve(id, delta)) {
+            this.refresh();
+        }
+    },
+
+    /**
+     * Exclui uma curva do documento
+     * @param {string} id - Identificador da curva
+     */
+    removeCurve(id) {
+        const curve = DataManager.getCurves().find(item => item.id === id);
+        if (!curve || !DataManager.removeCurve(id)) return;
+
+        this.afterCurveSelection();
+        this.showSuccess(`${curve.name} excluída`);
+    },
+
+    /**
+     * Mostra a aba da curva em edição com as seleções limpas
+     */
+    afterCurveSelection() {
+        KnotEditor.selectedIndex = -1;
+        this.hoverCurveT = null;
+        this.hoverCurvePoint = null;
+        this.switchTab(DataManager.getCurrentTab());
+    },
+
+    /**
+     * Encontra a curva do documento (fora de edição) mais próxima das coordenadas
+     * @param {Object} coords - Coordenadas {x, y}
+     * @param {number} threshold - Distância máxima (default: 15)
+     * @returns {Object|null} Curva do documento ou null se nenhuma está perto
+     */
+    findDocumentCurveAt(coords, threshold = 15) {
+        const active = DataManager.getActiveCurve();
+        let nearest = null;
+        let minDistance = threshold;
+
+        DataManager.getCurves().forEach(curve => {
+            if (curve === active || !curve.visible) return;
+
+            this.getDocumentCurveDefinitions(curve).forEach(definition => {
+                const { distance } = CurveMath.nearestPointOnCurve(definition, coords);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    nearest = curve;
+                }
+            });
+        });
+
+        return nearest;
+    },
+
+    /**
+     * Limpa todos os pontos da aba atual
+     */
+    clearPoints() {
+        if (!this.canEditActiveCurve()) return;
+
+        DataManager.clearControlPoints(this.getEditTarget());
+        UI.setSelectedPoint(-1);
+        this.updateCurve();
+        this.updateUI();
+        this.render();
+    },
+
+    /**
+     * Copia pontos de Bézier para Spline
+     */
+    copyFromBezier() {
+        if (!this.canEditActiveCurve(true, 'spline')) return;
+
+        DataManager.copyBezierToSpline(this.isInterpolating() ? 'splineData' : 'spline');
+        if (DataManager.getCurrentTab() === 'spline') {
+            this.updateCurve();
+            this.updateUI();
+            this.render();
+        }
+    },
+
+    /**
+     * Decompõe a B-spline atual em Béziers (uma por intervalo de nós não vazio)
+     * @returns {Array|null} Pontos de controle de cada Bézier ou null se não há curva
+     */
+    getSplineBezierSegments() {
+        const spline = this.getSplineDefinition();
+        if (!spline || !spline.knots) return null;
+
+        return CurveMath.bSplineToBezier(spline.controlPoints, spline.degree, spline.knots).segments;
+    },
+
+    /**
+     * Envia os trechos de Bézier da B-spline para a aba Bézier (a primeira vira a
+     * curva em edição se a aba estiver vazia; as demais entram na lista de curvas)
+     */
+    sendSplineToBezier() {
+        if (!this.canEditActiveCurve(true, 'bezier')) return;
+
+        const segments = this.getSplineBezierSegments();
+        if (!segments || segments.length === 0) {
+            this.showError('A B-spline precisa de pontos suficientes para ser decomposta');
+            return;
+        }
+
+        const remaining = segments.slice();
+        this.runCommand('Enviar spline para Bézier', () => {
+            if (DataManager.getControlPoints('bezier').length === 0) {
+                DataManager.setControlPoints(remaining.shift(), 'bezier');
+            }
+            remaining.forEach(segment => DataManager.addBezierSegment(segment));
+        });
+
+        this.refresh();
+        this.showSuccess(`${segments.length} Béziers de grau ${segments[0].length - 1} enviadas para a aba Bézier`);
+    },
+
+    /**
+     * Converte a cadeia de Béziers da aba Bézier (curva em edição seguida das curvas
+     * secundárias) em uma B-spline com a mesma forma e a continuidade real de cada junção
+     */
+    convertBezierChainToSpline() {
+        if (!this.canEditActiveCurve(true, 'spline')) return;
+
+        const chain = [DataManager.getControlPoints('bezier')]
+            .concat(DataManager.getBezierSegments())
+            .filter(points => points.length >= 2);
+
+        const result = CurveMath.bezierChainToBSpline(chain);
+        if (!result) {
+            this.showError('As curvas da aba Bézier não formam uma cadeia: o fim de cada uma deve ser o início da próxima');
+            return;
+        }
+
+        if (result.degree > 5) {
+            this.showError(`A cadeia tem grau ${result.degree}; a B-spline aceita no máximo grau 5`);
+            return;
+        }
+
+        // Valida antes de mexer nas configurações: nada muda se a geometria for recusada
+        if (!DataManager.isValidSplineGeometry(result.controlPoints, result.knots, result.degree)) {
+            this.showError('Os pesos da cadeia ficariam fora do intervalo aceito (0.1 a 3)');
+            return;
+        }
+
+        this.runCommand('Converter cadeia em B-spline', () => {
+            DataManager.updateSetting('splineDegree', result.degree);
+            DataManager.updateSetting('splineClosed', false);
+            DataManager.updateSetting('splineMode', 'control');
+            DataManager.setSplineGeometry(result.controlPoints, result.knots, result.degree);
+        });
+
+        KnotEditor.selectedIndex = -1;
+        this.switchTab('spline');
+
+        const joints = result.continuity.map(value => value === Infinity ? 'C∞' : `C${value}`);
+        this.showSuccess(joints.length > 0
+            ? `B-spline de grau ${result.degree} criada; junções: ${joints.join(', ')}`
+            : `B-spline de grau ${result.degree} criada`);
+    },
+
+    /**
+     * Exporta dados da curva atual
+     */
+    exportData() {
+        try {
+            const data = DataManager.exportCurveData();
+            this.downloadJSON(data, `curva_${data.type}_${new Date().toISOString().split('T')[0]}.json`);
+
+            // Mostra preview no console
+            console.log('Dados exportados:', data);
+            
+            // Feedback visual
+            this.showSuccess('Dados exportados com sucesso!');
+        } catch (error) {
+            console.error('Erro ao exportar:', error);
+            this.showError('Erro ao exportar dados');
+        }
+    },
+
+    /**
+     * Salva o documento completo (todas as curvas, configurações e seleção) em .curves.json
+     */
+    saveDocument() {
+        try {
+            const data = DataManager.exportDocument({
+                point: UI.getSelectedPoint(),
+                knot: KnotEditor.selectedIndex
+            });
+            this.downloadJSON(data, `curvas_${new Date().toISOString().split('T')[0]}.curves.json`);
+            this.showSuccess('Documento salvo com sucesso!');
+        } catch (error) {
+            console.error('Erro ao salvar documento:', error);
+            this.showError('Erro ao salvar documento');
+        }
+    },
+
+    /**
+     * Exporta as curvas visíveis em SVG: Béziers exatas (ou polilinha amostrada),
+     * com polígono de controle, rótulos e grade da curva em edição como grupos opcionais
+     */
+    exportSvg() {
+        try {
+            const settings = DataManager.getSettings();
+            const options = DataManager.getSvgOptions();
+            const curves = DataManager.getCurves()
+                .filter(curve => curve.visible)
+                .map(curve => ({ name: curve.name, color: curve.color, definitions: this.getDocumentCurveDefinitions(curve) }))
+                .filter(curve => curve.definitions.length > 0);
+
+            if (curves.length === 0) {
+                this.showError('Não há curvas visíveis para exportar');
+                return;
+            }
+
+            // Polígono e rótulos são os da curva em edição, como no canvas
+            // (na interpolação o polígono é o calculado e os rótulos, os pontos de passagem)
+            const currentTab = DataManager.getCurrentTab();
+            const active = DataManager.getActiveCurve();
+            const editable = active && active.visible;
+            const scene = {
+                width: Renderer.canvas.width,
+                height: Renderer.canvas.height,
+                curves,
+                polygon: editable ? {
+                    points: DataManager.getControlPoints(currentTab),
+                    closed: currentTab === 'spline' && settings.splineClosed && !this.isInterpolating()
+                } : null,
+                labels: editable ? DataManager.getControlPoints(this.getEditTarget()) : []
+            };
+
+            const result = SvgExport.build(scene, {
+                ...options,
+                flatness: settings.flatnessTolerance,
+                angle: settings.angleTolerance
+            });
+            this.downloadFile(result.svg, 'image/svg+xml', `curvas_${new Date().toISOString().split('T')[0]}.svg`);
+
+            this.showSuccess(options.mode === 'sampled'
+                ? `SVG exportado: ${result.sampled} polilinha(s)`
+                : `SVG exportado: ${result.exact} curva(s) em Béziers exatas, ${result.sampled} como polilinha (racionais ou grau > 3)`);
+        } catch (error) {
+            console.error('Erro ao exportar SVG:', error);
+            this.showError('Erro ao exportar SVG');
+        }
+    },
+
+    /**
+     * Baixa dados como arquivo JSON
+     * @param {Object} data - Dados a gravar
+     * @param {string} fileName - Nome do arquivo
+     */
+    downloadJSON(data, fileName) {
+        this.downloadFile(JSON.stringify(data, null, 2), 'application/json', fileName);
+    },
+
+    /**
+     * Baixa um texto como arquivo
+     * @param {string} content - Conteúdo do arquivo
+     * @param {string} mimeType - Tipo do conteúdo
+     * @param {string} fileName - Nome do arquivo
+     */
+    downloadFile(content, mimeType, fileName) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Abre o seletor de arquivos para importar um JSON
+     */
+    openImportDialog() {
+        const input = document.getElementById('import-file');
+        if (input) input.click();
+    },
+
+    /**
+     * Lê um arquivo JSON (seletor ou arrastado para o canvas) e o importa
+     * @param {File} file - Arquivo escolhido
+     */
+    importFile(file) {
+        const reader = new FileReader();
+
+        reader.onload = () => {
+            let data;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (error) {
+                UI.showImportReport({
+                    title: `${file.name} rejeitado`,
+                    status: 'error',
+                    items: [{ path: '', message: `JSON inválido: ${error.message}` }]
+                });
+                this.showError('Arquivo JSON inválido');
+                return;
+            }
+
+            this.importData(data, file.name);
+        };
+
+        reader.onerror = () => this.showError(`Não foi possível ler ${file.name}`);
+        reader.readAsText(file);
+    },
+
+    /**
+     * Importa um arquivo em qualquer versão do formato: ele é conferido pelo esquema
+     * da sua versão e migrado até o documento atual; o relatório mostra os erros
+     * (arquivo rejeitado) ou as migrações e os ajustes feitos nos dados
+     * @param {Object} data - Dados para importar
+     * @param {string} fileName - Nome do arquivo de origem (opcional)
+     * @returns {boolean} True se importado com sucesso
+     */
+    importData(data, fileName = 'JSON') {
+        const result = CurveDocument.upgrade(data);
+        if (result.errors.length > 0) {
+            UI.showImportReport({ title: `${fileName} rejeitado`, status: 'error', items: result.errors });
+            this.showError(`Arquivo rejeitado: ${result.errors.length} erro(s)`);
+            return false;
+        }
+
+        // Exportações de uma curva (1.0) entram como curvas novas; documentos substituem o aberto
+        const merge = result.version === '1.0';
+        const changes = [
+            ...result.steps.map(step => ({
+                path: 'version',
+                message: `convertido de ${step.from} para ${step.to} (${step.description})`
+            })),
+            ...result.notes
+        ];
+
+        try {
+            // Os ajustes são relatados com os caminhos do arquivo importado
+            const adjustments = [];
+            const loaded = DataManager.loadDocument(result.document, adjustments, merge);
+            adjustments.forEach(change => changes.push({ ...change, path: CurveDocument.sourcePath(result, change.path) }));
+
+            if (loaded) {
+                UI.showImportReport({
+                    title: `${fileName} ${merge ? 'importado' : 'aberto'}`,
+                    status: 'success',
+                    items: changes
+                });
+                this.afterCurveSelection();
+                if (!merge) {
+                    this.restoreSelection(result.document.selection);
+                }
+                this.showSuccess(merge ? 'Dados importados com sucesso!' : 'Documento aberto com sucesso!');
+                return true;
+            } else {
+                this.showError('Formato de dados inválido');
                 return false;
             }
         } catch (error) {
@@ -425,6 +2384,17 @@ const App = {
         }
     },
 
+    /**
+     * Restaura a seleção salva num documento (ponto e nó da aba atual)
+     * @param {Object} selection - Seleção {point, knot}
+     */
+    restoreSelection(selection = {}) {
+        if (Number.isInteger(selection.knot)) {
+            KnotEditor.selectedIndex = selection.knot;
+        }
+        this.selectPoint(Number.isInteger(selection.point) ? selection.point : -1);
+    },
+
     /**
      * Atualiza toda a aplicação
      */
@@ -0,0 +1,157 @@
+/**
+ * Módulo do Gráfico de Funções Base
+ * Desenha as funções base da curva atual num canvas auxiliar
+ */
+
+const BasisPlot = {
+    canvas: null,
+    ctx: null,
+    padding: { left: 35, right: 15, top: 12, bottom: 22 },
+
+    /**
+     * Inicializa o gráfico com o canvas auxiliar
+     * @param {HTMLCanvasElement} canvas - Canvas do gráfico
+     */
+    init(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    },
+
+    /**
+     * Converte um valor de parâmetro em coordenada X do gráfico
+     * @param {number} t - Parâmetro
+     * @param {Array} domain - Domínio [início, fim]
+     * @returns {number} Coordenada X
+     */
+    toX(t, domain) {
+        const width = this.canvas.width - this.padding.left - this.padding.right;
+        const range = domain[1] - domain[0] || 1;
+        return this.padding.left + ((t - domain[0]) / range) * width;
+    },
+
+    /**
+     * Converte o valor de uma função base (0 a 1) em coordenada Y do gráfico
+     * @param {number} value - Valor da função
+     * @returns {number} Coordenada Y
+     */
+    toY(value) {
+        const height = this.canvas.height - this.padding.top - this.padding.bottom;
+        return this.padding.top + (1 - value) * height;
+    },
+
+    /**
+     * Desenha o gráfico
+     * @param {Object} plot - Dados do gráfico
+     * @param {Array} plot.domain - Domínio [início, fim] do parâmetro
+     * @param {Array} plot.samples - Valores de t amostrados
+     * @param {Array} plot.series - Funções {index, values, color, dashed}
+     * @param {number} plot.highlightIndex - Índice da função em destaque (-1 para nenhuma)
+     * @param {number|null} plot.cursorT - Parâmetro do cursor vertical
+     * @param {Array} plot.knots - Nós a marcar no eixo (opcional)
+     * @param {string} plot.title - Legenda do gráfico
+     */
+    render(plot) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.save();
+
+        // Eixos e linhas de referência em 0 e 1
+        ctx.strokeStyle = '#ddd';
+        ctx.lineWidth = 1;
+        [0, 0.5, 1].forEach(value => {
+            ctx.beginPath();
+            ctx.moveTo(this.padding.left, this.toY(value));
+            ctx.lineTo(width - this.padding.right, this.toY(value));
+            ctx.stroke();
+        });
+
+        ctx.fillStyle = '#666';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('1', this.padding.left - 6, this.toY(1));
+        ctx.fillText('0', this.padding.left - 6, this.toY(0));
+
+        if (!plot || plot.series.length === 0) {
+            ctx.textAlign = 'center';
+            ctx.fillText('Adicione pontos para ver as funções base', width / 2, height / 2);
+            ctx.restore();
+            return;
+        }
+
+        const { domain, samples } = plot;
+
+        // Nós no eixo
+        ctx.strokeStyle = '#999';
+        (plot.knots || []).forEach(knot => {
+            if (knot < domain[0] || knot > domain[1]) return;
+            const x = this.toX(knot, domain);
+            ctx.beginPath();
+            ctx.moveTo(x, this.toY(0) - 4);
+            ctx.lineTo(x, this.toY(0) + 4);
+            ctx.stroke();
+        });
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(domain[0].toFixed(2), this.toX(domain[0], domain), this.toY(0) + 6);
+        ctx.fillText(domain[1].toFixed(2), this.toX(domain[1], domain), this.toY(0) + 6);
+
+        // Funções: a destacada por último e mais grossa
+        const hasHighlight = plot.highlightIndex >= 0;
+        const ordered = plot.series
+            .filter(series => series.index !== plot.highlightIndex)
+            .concat(plot.series.filter(series => series.index === plot.highlightIndex));
+
+        ordered.forEach(series => {
+            const isHighlighted = series.index === plot.highlightIndex;
+
+            ctx.strokeStyle = series.color;
+            ctx.globalAlpha = hasHighlight && !isHighlighted ? 0.25 : 1;
+            ctx.lineWidth = isHighlighted ? 3 : 1.5;
+            ctx.setLineDash(series.dashed ? [5, 4] : []);
+
+            ctx.beginPath();
+            series.values.forEach((value, i) => {
+                const x = this.toX(samples[i], domain);
+                const y = this.toY(value);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        });
+
+        ctx.globalAlpha = 1;
+        ctx.setLineDash([]);
+
+        // Cursor no t avaliado
+        if (typeof plot.cursorT === 'number') {
+            const x = this.toX(plot.cursorT, domain);
+            ctx.strokeStyle = '#e91e63';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(x, this.padding.top);
+            ctx.lineTo(x, this.toY(0));
+            ctx.stroke();
+        }
+
+        // Legenda
+        if (plot.title) {
+            ctx.fillStyle = '#333';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText(plot.title, this.padding.left + 4, 2);
+        }
+
+        ctx.restore();
+    }
+};
+
+// Exporta o módulo para uso global
+window.BasisPlot = BasisPlot;
@@ -7,7 +7,13 @@ const DataManager = {
     // Estado atual da aplicação
     state: {
         bezierPoints: [],
+        bezierSegments: [],
         splinePoints: [],
+        splineKnots: [],
+        splineDataPoints: [],
+        catmullRomPoints: [],
+        curves: [],
+        activeCurves: { bezier: null, spline: null, catmullrom: null },
         currentTab: 'bezier',
         settings: {
             showConstructionLines: true,
@@ -15,15 +21,74 @@ const DataManager = {
             bezierSteps: 100,
             splineSteps: 100,
             splineDegree: 3,
-            splineStep: 0.01
+            splineStep: 0.01,
+            knotType: 'clamped',
+            splineClosed: false,
+            splineMode: 'control',
+            splineInterpolation: 'chordal',
+            showBasisPlot: false,
+            catmullRomParameterization: 'centripetal',
+            catmullRomTension: 0,
+            catmullRomBias: 0,
+            catmullRomContinuity: 0,
+            catmullRomSteps: 20,
+            sketchTolerance: 4,
+            arcLengthSampling: false,
+            showTangents: false,
+            showCurvatureComb: false,
+            showInflections: false,
+            frameParameters: [0.25, 0.5, 0.75],
+            combScale: 1,
+            tessellation: 'fixed',
+            flatnessTolerance: 0.5,
+            angleTolerance: 10,
+            showIntersections: false,
+            showOffset: false,
+            offsetDistance: 30,
+            offsetSide: 'left',
+            showBezierDecomposition: false,
+            persistHistory: false,
+            svgMode: 'exact',
+            svgControlPolygon: true,
+            svgLabels: false,
+            svgGrid: false
         }
     },
 
+    // Abas disponíveis (uma por tipo de curva)
+    tabs: ['bezier', 'spline', 'catmullrom'],
+
+    // Onde cada conjunto de pontos fica no estado
+    // ('splineData' são os pontos de passagem do modo de interpolação da B-Spline)
+    pointKeys: {
+        bezier: 'bezierPoints',
+        spline: 'splinePoints',
+        splineData: 'splineDataPoints',
+        catmullrom: 'catmullRomPoints'
+    },
+
+    // Nome de cada tipo de curva na lista de objetos
+    curveTypeNames: {
+        bezier: 'Bézier',
+        spline: 'B-Spline',
+        catmullrom: 'Catmull-Rom'
+    },
+
+    // Cores sugeridas para novas curvas (as três primeiras são as das abas, na ordem de tabs)
+    curvePalette: ['#e91e63', '#4caf50', '#ff9800', '#2196f3', '#9c27b0', '#00bcd4', '#795548', '#607d8b'],
+
+    // Última interpolação resolvida {input, output, solved} (ver solveSplineInterpolation)
+    interpolationCache: null,
+
+    // Configurações que são preferências do navegador e não fazem parte do documento
+    preferenceKeys: ['persistHistory', 'svgMode', 'svgControlPolygon', 'svgLabels', 'svgGrid'],
+
     /**
      * Inicializa o gerenciador de dados
      */
     init() {
         this.loadSettings();
+        this.ensureActiveCurves();
         this.setupStorageHandlers();
     },
 
@@ -31,10 +96,11 @@ const DataManager = {
      * Adiciona um novo ponto de controle
      * @param {number} x - Coordenada X
      * @param {number} y - Coordenada Y
-     * @param {string} curveType - Tipo de curva ('bezier' ou 'spline')
+     * @param {string} curveType - Tipo de curva ('bezier', 'spline' ou 'catmullrom')
+     * @param {number} index - Posição na sequência (default: no fim)
      * @returns {number} Índice do ponto adicionado
      */
-    addControlPoint(x, y, curveType = null) {
+    addControlPoint(x, y, curveType = null, index = null) {
         const type = curveType || this.state.currentTab;
         const point = {
             x: Math.round(x),
@@ -44,16 +110,17 @@ const DataManager = {
         };
 
         const points = this.getControlPoints(type);
-        points.push(point);
+        const position = index === null ? points.length : Math.max(0, Math.min(points.length, index));
+        points.splice(position, 0, point);
         
-        this.saveToLocalStorage();
-        return points.length - 1;
+        this.commit('Adicionar ponto');
+        return position;
     },
 
     /**
      * Remove um ponto de controle
      * @param {number} index - Índice do ponto
-     * @param {string} curveType - Tipo de curva ('bezier' ou 'spline')
+     * @param {string} curveType - Tipo de curva ('bezier', 'spline' ou 'catmullrom')
      * @returns {boolean} True se removido com sucesso
      */
     removeControlPoint(index, curveType = null) {
@@ -62,7 +129,7 @@ const DataManager = {
         
         if (index >= 0 && index < points.length) {
             points.splice(index, 1);
-            this.saveToLocalStorage();
+            this.commit('Remover ponto');
             return true;
         }
         return false;
@@ -73,7 +140,7 @@ const DataManager = {
      * @param {number} index - Índice do ponto
      * @param {number} x - Nova coordenada X
      * @param {number} y - Nova coordenada Y
-     * @param {string} curveType - Tipo de curva ('bezier' ou 'spline')
+     * @param {string} curveType - Tipo de curva ('bezier', 'spline' ou 'catmullrom')
      * @param {boolean} relative - Se o movimento é relativo
      * @returns {boolean} True se atualizado com sucesso
      */
@@ -89,7 +156,7 @@ const DataManager = {
                 if (x !== null) points[index].x = Math.round(x);
                 if (y !== null) points[index].y = Math.round(y);
             }
-            this.saveToLocalStorage();
+            this.commit('Mover ponto', true);
             return true;
         }
         return false;
@@ -99,7 +166,7 @@ const DataManager = {
      * Atualiza o peso de um ponto de controle
      * @param {number} index - Índice do ponto
      * @param {number} weight - Novo peso
-     * @param {string} curveType - Tipo de curva ('bezier' ou 'spline')
+     * @param {string} curveType - Tipo de curva ('bezier', 'spline' ou 'catmullrom')
      * @returns {boolean} True se atualizado com sucesso
      */
     updatePointWeight(index, weight, curveType = null) {
@@ -108,7 +175,7 @@ const DataManager = {
         
         if (index >= 0 && index < points.length) {
             points[index].weight = Math.max(0.1, Math.min(3.0, weight));
-            this.saveToLocalStorage();
+            this.commit('Alterar peso', true);
             return true;
         }
         return false;
@@ -116,85 +183,835 @@ const DataManager = {
 
     /**
      * Obtém os pontos de controle para o tipo especificado
-     * @param {string} curveType - Tipo de curva ('bezier' ou 'spline')
+     * @param {string} curveType - Tipo de curva ('bezier', 'spline' ou 'catmullrom')
      * @returns {Array} Array de pontos de controle
      */
     getControlPoints(curveType = null) {
         const type = curveType || this.state.currentTab;
-        return type === 'bezier' ? this.state.bezierPoints : this.state.splinePoints;
+        return this.state[this.pointKeys[type]] || [];
     },
 
     /**
      * Define todos os pontos de controle
      * @param {Array} points - Array de pontos
-     * @param {string} curveType - Tipo de curva ('bezier' ou 'spline')
+     * @param {string} curveType - Tipo de curva ('bezier', 'spline' ou 'catmullrom')
      */
     setControlPoints(points, curveType = null) {
         const type = curveType || this.state.currentTab;
         const validatedPoints = this.validatePoints(points);
         
-        if (type === 'bezier') {
-            this.state.bezierPoints = validatedPoints;
-        } else {
-            this.state.splinePoints = validatedPoints;
+        if (this.pointKeys[type]) {
+            this.state[this.pointKeys[type]] = validatedPoints;
         }
         
-        this.saveToLocalStorage();
+        this.commit('Editar pontos');
     },
 
     /**
      * Limpa todos os pontos de controle
-     * @param {string} curveType - Tipo de curva ('bezier' ou 'spline')
+     * @param {string} curveType - Tipo de curva ('bezier', 'spline' ou 'catmullrom')
      */
     clearControlPoints(curveType = null) {
         const type = curveType || this.state.currentTab;
         
-        if (type === 'bezier') {
-            this.state.bezierPoints = [];
-        } else {
-            this.state.splinePoints = [];
+        if (this.pointKeys[type]) {
+            this.state[this.pointKeys[type]] = [];
         }
         
-        this.saveToLocalStorage();
+        this.commit('Limpar pontos');
     },
 
     /**
      * Copia pontos de Bézier para Spline
+     * @param {string} curveType - Destino ('spline' ou 'splineData' no modo de interpolação)
      */
-    copyBezierToSpline() {
-        this.state.splinePoints = this.state.bezierPoints.map(point => ({
+    copyBezierToSpline(curveType = 'spline') {
+        this.state[this.pointKeys[curveType]] = this.state.bezierPoints.map(point => ({
             ...point,
             id: this.generateId()
         }));
-        this.saveToLocalStorage();
+        this.commit('Copiar pontos de Bézier');
+    },
+
+    /**
+     * Obtém as curvas de Bézier secundárias da aba (ex.: metades de uma divisão)
+     * @returns {Array} Array de arrays de pontos de controle
+     */
+    getBezierSegments() {
+        return this.state.bezierSegments;
+    },
+
+    /**
+     * Adiciona uma curva de Bézier secundária
+     * @param {Array} points - Pontos de controle da curva
+     * @param {number} index - Posição na lista (default: final)
+     */
+    addBezierSegment(points, index = this.state.bezierSegments.length) {
+        this.state.bezierSegments.splice(index, 0, this.validatePoints(points));
+        this.commit('Adicionar curva');
+    },
+
+    /**
+     * Substitui todas as curvas de Bézier secundárias
+     * @param {Array} segments - Pontos de controle de cada curva
+     */
+    setBezierSegments(segments) {
+        this.state.bezierSegments = segments.map(points => this.validatePoints(points));
+        this.commit('Editar curvas');
+    },
+
+    /**
+     * Torna editável uma curva secundária, trocando-a de lugar com a curva ativa
+     * @param {number} index - Índice da curva secundária
+     * @returns {boolean} True se a troca foi feita
+     */
+    activateBezierSegment(index) {
+        const segments = this.state.bezierSegments;
+        if (index < 0 || index >= segments.length) return false;
+
+        const active = this.state.bezierPoints;
+        this.state.bezierPoints = segments[index];
+        if (active.length > 0) {
+            segments[index] = active;
+        } else {
+            segments.splice(index, 1);
+        }
+
+        this.commit('Editar outra curva');
+        return true;
+    },
+
+    /**
+     * Remove uma curva de Bézier secundária
+     * @param {number} index - Índice da curva secundária
+     * @returns {boolean} True se removida
+     */
+    removeBezierSegment(index) {
+        if (index < 0 || index >= this.state.bezierSegments.length) return false;
+
+        this.state.bezierSegments.splice(index, 1);
+        this.commit('Remover curva');
+        return true;
+    },
+
+    /**
+     * Garante que cada aba tenha uma curva do documento em edição
+     * (estados antigos, sem lista de curvas, ganham uma curva por aba com os pontos que já tinham)
+     */
+    ensureActiveCurves() {
+        let created = false;
+        this.tabs.forEach(type => {
+            const id = this.state.activeCurves[type];
+            const bound = this.state.curves.find(curve => curve.id === id && curve.type === type);
+            if (!bound) {
+                this.state.activeCurves[type] = this.createCurve(type).id;
+                created = true;
+            }
+        });
+
+        if (created) {
+            this.saveToLocalStorage();
+        }
+    },
+
+    /**
+     * Cria uma curva do documento (sem dados: ela nasce ligada à aba do seu tipo)
+     * @param {string} type - Tipo da curva ('bezier', 'spline' ou 'catmullrom')
+     * @returns {Object} Curva {id, type, name, color, visible, locked, data}
+     */
+    createCurve(type) {
+        const sameType = this.state.curves.filter(curve => curve.type === type);
+        const color = sameType.length === 0
+            ? this.curvePalette[this.tabs.indexOf(type)]
+            : this.curvePalette[this.state.curves.length % this.curvePalette.length];
+
+        const curve = {
+            id: this.generateId(),
+            type,
+            name: `${this.curveTypeNames[type]} ${sameType.length + 1}`,
+            color,
+            visible: true,
+            locked: false,
+            data: null
+        };
+        this.state.curves.push(curve);
+        return curve;
+    },
+
+    /**
+     * Obtém as curvas do documento na ordem de desenho
+     * @returns {Array} Curvas {id, type, name, color, visible, locked, data}
+     */
+    getCurves() {
+        return this.state.curves;
+    },
+
+    /**
+     * Obtém a curva do documento em edição na aba
+     * @param {string} curveType - Tipo de curva (default: aba atual)
+     * @returns {Object|null} Curva ou null
+     */
+    getActiveCurve(curveType = null) {
+        const type = curveType || this.state.currentTab;
+        return this.state.curves.find(curve => curve.id === this.state.activeCurves[type]) || null;
+    },
+
+    /**
+     * Verifica se a curva está ligada a uma aba (seus dados ficam nos pontos da aba)
+     * @param {Object} curve - Curva do documento
+     * @returns {boolean} True se a curva está em edição na aba do seu tipo
+     */
+    isCurveActive(curve) {
+        return this.state.activeCurves[curve.type] === curve.id;
+    },
+
+    /**
+     * Obtém os dados geométricos de uma curva do documento
+     * @param {Object} curve - Curva do documento
+     * @returns {Object} Dados no formato de captureCurveData
+     */
+    getCurveData(curve) {
+        return this.isCurveActive(curve) ? this.captureCurveData(curve.type) : curve.data;
+    },
+
+    /**
+     * Copia os pontos e as opções da aba para um objeto independente
+     * @param {string} type - Tipo da curva
+     * @returns {Object} Dados da curva
+     */
+    captureCurveData(type) {
+        const state = this.state;
+        const settings = state.settings;
+        const copy = points => points.map(point => ({ ...point }));
+
+        if (type === 'bezier') {
+            return { controlPoints: copy(state.bezierPoints), segments: state.bezierSegments.map(copy) };
+        }
+
+        if (type === 'catmullrom') {
+            return { controlPoints: copy(state.catmullRomPoints), ...this.getCatmullRomOptions() };
+        }
+
+        return {
+            controlPoints: copy(state.splinePoints),
+            knots: state.splineKnots.slice(),
+            dataPoints: copy(state.splineDataPoints),
+            degree: settings.splineDegree,
+            knotType: settings.knotType,
+            closed: settings.splineClosed,
+            mode: settings.splineMode,
+            interpolation: settings.splineInterpolation
+        };
+    },
+
+    /**
+     * Carrega os dados de uma curva nos pontos e opções da aba do seu tipo
+     * @param {string} type - Tipo da curva
+     * @param {Object|null} data - Dados da curva (null para uma curva vazia)
+     */
+    loadCurveData(type, data) {
+        const curveData = data || {};
+        const points = this.validatePoints(curveData.controlPoints || []);
+        const settings = this.state.settings;
+
+        if (type === 'bezier') {
+            this.state.bezierPoints = points;
+            this.state.bezierSegments = (curveData.segments || []).map(segment => this.validatePoints(segment));
+        } else if (type === 'catmullrom') {
+            this.state.catmullRomPoints = points;
+            this.applyCatmullRomOptions(curveData);
+        } else {
+            this.state.splinePoints = points;
+            this.state.splineKnots = this.validateKnots(curveData.knots);
+            this.state.splineDataPoints = this.validatePoints(curveData.dataPoints || []);
+
+            // Curvas novas herdam as opções da spline anterior
+            if (typeof curveData.degree === 'number') settings.splineDegree = curveData.degree;
+            if (typeof curveData.knotType === 'string') settings.knotType = curveData.knotType;
+            if (typeof curveData.closed === 'boolean') settings.splineClosed = curveData.closed;
+            if (curveData.mode === 'control' || curveData.mode === 'interpolate') settings.splineMode = curveData.mode;
+            if (curveData.interpolation in CurveMath.parameterizationAlphas) {
+                settings.splineInterpolation = curveData.interpolation;
+            }
+        }
+    },
+
+    /**
+     * Troca a curva em edição na aba do tipo da curva: a anterior guarda seus dados
+     * e a nova carrega os dela
+     * @param {Object} curve - Curva do documento a editar
+     */
+    bindCurve(curve) {
+        const previous = this.getActiveCurve(curve.type);
+        if (previous === curve) return;
+
+        if (previous) {
+            previous.data = this.captureCurveData(curve.type);
+        }
+        this.loadCurveData(curve.type, curve.data);
+        curve.data = null;
+        this.state.activeCurves[curve.type] = curve.id;
+    },
+
+    /**
+     * Adiciona uma curva vazia ao documento e passa a editá-la
+     * @param {string} curveType - Tipo da curva (default: aba atual)
+     * @returns {Object} Curva criada
+     */
+    addCurve(curveType = null) {
+        const type = curveType || this.state.currentTab;
+        const curve = this.createCurve(type);
+        this.bindCurve(curve);
+        this.state.currentTab = type;
+        this.commit('Nova curva');
+        return curve;
+    },
+
+    /**
+     * Passa a editar uma curva do documento (muda para a aba do seu tipo)
+     * @param {string} id - Identificador da curva
+     * @returns {boolean} True se a curva existe
+     */
+    selectCurve(id) {
+        const curve = this.state.curves.find(item => item.id === id);
+        if (!curve) return false;
+
+        this.bindCurve(curve);
+        this.state.currentTab = curve.type;
+        this.commit('Selecionar curva');
+        return true;
+    },
+
+    /**
+     * Altera nome, cor, visibilidade ou bloqueio de uma curva (valores inválidos são ignorados)
+     * @param {string} id - Identificador da curva
+     * @param {Object} properties - {name, color, visible, locked}
+     * @returns {boolean} True se a curva existe
+     */
+    updateCurveProperties(id, properties = {}) {
+        const curve = this.state.curves.find(item => item.id === id);
+        if (!curve) return false;
+
+        if (typeof properties.name === 'string' && properties.name.trim()) {
+            curve.name = properties.name.trim();
+        }
+        if (typeof properties.color === 'string' && /^#[0-9a-f]{6}$/i.test(properties.color)) {
+            curve.color = properties.color;
+        }
+        if (typeof properties.visible === 'boolean') curve.visible = properties.visible;
+        if (typeof properties.locked === 'boolean') curve.locked = properties.locked;
+
+        this.commit('Alterar curva');
+        return true;
+    },
+
+    /**
+     * Move uma curva na ordem de desenho
+     * @param {string} id - Identificador da curva
+     * @param {number} delta - -1 para trás, +1 para frente
+     * @returns {boolean} True se a curva mudou de posição
+     */
+    moveCurve(id, delta) {
+        const curves = this.state.curves;
+        const index = curves.findIndex(item => item.id === id);
+        const target = index + delta;
+        if (index < 0 || target < 0 || target >= curves.length) return false;
+
+        curves.splice(target, 0, curves.splice(index, 1)[0]);
+        this.commit('Reordenar curvas');
+        return true;
+    },
+
+    /**
+     * Remove uma curva do documento; se ela estava em edição, a aba passa para
+     * a última curva do mesmo tipo (ou para uma curva vazia nova)
+     * @param {string} id - Identificador da curva
+     * @returns {boolean} True se removida
+     */
+    removeCurve(id) {
+        const index = this.state.curves.findIndex(item => item.id === id);
+        if (index < 0) return false;
+
+        const [curve] = this.state.curves.splice(index, 1);
+        if (this.state.activeCurves[curve.type] === curve.id) {
+            this.state.activeCurves[curve.type] = null;
+            const replacement = this.state.curves.filter(item => item.type === curve.type).pop()
+                || this.createCurve(curve.type);
+            this.bindCurve(replacement);
+        }
+
+        this.commit('Excluir curva');
+        return true;
+    },
+
+    /**
+     * Valida uma curva do documento vinda de fora (localStorage ou arquivo)
+     * @param {Object} curve - Curva salva
+     * @param {Array} changes - Lista onde os ajustes são relatados {path, message} (opcional)
+     * @param {string} path - Caminho da curva nos relatos (ex.: curves[0])
+     * @returns {Object|null} Curva validada ou null se inválida
+     */
+    validateCurve(curve, changes = null, path = '') {
+        if (!curve || !this.tabs.includes(curve.type)) return null;
+
+        const data = curve.data && typeof curve.data === 'object'
+            ? this.validateCurveData(curve.type, curve.data, changes, path ? `${path}.data` : 'data')
+            : null;
+
+        return {
+            id: typeof curve.id === 'string' ? curve.id : this.generateId(),
+            type: curve.type,
+            name: typeof curve.name === 'string' && curve.name ? curve.name : this.curveTypeNames[curve.type],
+            color: /^#[0-9a-f]{6}$/i.test(curve.color) ? curve.color : this.curvePalette[this.tabs.indexOf(curve.type)],
+            visible: curve.visible !== false,
+            locked: curve.locked === true,
+            data
+        };
+    },
+
+    /**
+     * Valida os dados geométricos de uma curva (formato de captureCurveData)
+     * @param {string} type - Tipo da curva
+     * @param {Object} data - Dados salvos
+     * @param {Array} changes - Lista onde os ajustes são relatados {path, message} (opcional)
+     * @param {string} path - Caminho dos dados nos relatos (ex.: curves[0].data)
+     * @returns {Object} Dados validados
+     */
+    validateCurveData(type, data, changes = null, path = '') {
+        const at = key => (path ? `${path}.${key}` : key);
+        const report = (key, message) => {
+            if (changes) changes.push({ path: at(key), message });
+        };
+        const validated = { ...data, controlPoints: this.validatePoints(data.controlPoints || [], changes, at('controlPoints')) };
+
+        if (type === 'bezier') {
+            validated.segments = (Array.isArray(data.segments) ? data.segments : [])
+                .map((segment, index) => this.validatePoints(segment, changes, at(`segments[${index}]`)));
+        } else if (type === 'catmullrom') {
+            ['tension', 'bias', 'continuity'].forEach(key => {
+                if (typeof data[key] !== 'number') {
+                    delete validated[key];
+                    return;
+                }
+                const value = Math.max(-1, Math.min(1, data[key]));
+                if (value !== data[key]) report(key, `valor ${data[key]} limitado a ${value}`);
+                validated[key] = value;
+            });
+        } else {
+            validated.dataPoints = this.validatePoints(data.dataPoints || [], changes, at('dataPoints'));
+
+            // Vetor de nós: só é aceito se combinar com pontos e grau
+            const knots = this.validateKnots(data.knots);
+            const n = validated.controlPoints.length;
+            const degree = typeof data.degree === 'number' ? data.degree : this.state.settings.splineDegree;
+            const effectiveDegree = Math.min(degree, Math.max(1, n - 1));
+            const knotTypes = ['clamped', 'unclamped', 'uniform', 'custom'];
+            const knotType = knotTypes.includes(data.knotType) ? data.knotType : 'custom';
+            const preset = knotType === 'custom' ? 'clamped' : knotType;
+
+            validated.knots = knots;
+            validated.knotType = knotType;
+            if (data.closed === true) {
+                // O vetor periódico é derivado dos pontos; o preset vale para quando a curva for aberta
+                if (knots.length > 0) report('knots', 'ignorado: curvas fechadas usam vetor de nós periódico');
+                validated.knots = [];
+                validated.knotType = preset;
+            } else if (!CurveMath.isValidKnotVector(knots, n, effectiveDegree)) {
+                if (knots.length > 0) {
+                    report('knots', `incompatível com ${n} pontos e grau ${effectiveDegree}: gerado pelo preset ${preset}`);
+                }
+                validated.knots = [];
+                validated.knotType = preset;
+            }
+        }
+
+        return validated;
+    },
+
+    /**
+     * Valida as configurações de um documento: só entram chaves conhecidas
+     * com o mesmo tipo do valor padrão
+     * @param {Object} settings - Configurações salvas
+     * @param {Array} changes - Lista onde as configurações ignoradas são relatadas {path, message}
+     * @returns {Object} Configurações aceitas
+     */
+    validateSettings(settings, changes = []) {
+        const kind = value => (Array.isArray(value) ? 'array' : typeof value);
+        const validated = {};
+
+        Object.entries(settings || {}).forEach(([key, value]) => {
+            const path = `settings.${key}`;
+            if (this.preferenceKeys.includes(key)) {
+                changes.push({ path, message: 'ignorado: preferência do navegador, não do documento' });
+            } else if (!(key in this.state.settings)) {
+                changes.push({ path, message: 'ignorado: configuração desconhecida' });
+            } else if (kind(value) !== kind(this.state.settings[key])) {
+                changes.push({ path, message: `ignorado: tipo ${kind(value)} no lugar de ${kind(this.state.settings[key])}` });
+            } else {
+                validated[key] = Array.isArray(value) ? value.slice() : value;
+            }
+        });
+
+        if ('splineStep' in validated) {
+            const step = Math.max(0.001, Math.min(0.1, validated.splineStep));
+            if (step !== validated.splineStep) {
+                changes.push({ path: 'settings.splineStep', message: `passo ${validated.splineStep} limitado a ${step}` });
+            }
+            validated.splineStep = step;
+        }
+
+        return validated;
     },
 
     /**
      * Valida um array de pontos
      * @param {Array} points - Array de pontos
+     * @param {Array} changes - Lista onde pontos removidos e pesos limitados são relatados {path, message} (opcional)
+     * @param {string} path - Caminho do array nos relatos (ex.: controlPoints)
      * @returns {Array} Array de pontos validados
      */
-    validatePoints(points) {
+    validatePoints(points, changes = null, path = '') {
         if (!Array.isArray(points)) return [];
-        
-        return points.filter(point => 
-            point &&
-            typeof point.x === 'number' &&
-            typeof point.y === 'number' &&
-            !isNaN(point.x) &&
-            !isNaN(point.y)
-        ).map(point => ({
-            x: Math.round(point.x),
-            y: Math.round(point.y),
-            weight: Math.max(0.1, Math.min(3.0, point.weight || 1.0)),
-            id: point.id || this.generateId()
-        }));
+
+        const validated = [];
+        points.forEach((point, index) => {
+            const valid = point &&
+                typeof point.x === 'number' &&
+                typeof point.y === 'number' &&
+                !isNaN(point.x) &&
+                !isNaN(point.y);
+            if (!valid) {
+                if (changes) changes.push({ path: `${path}[${index}]`, message: 'ponto removido: x e y precisam ser números' });
+                return;
+            }
+
+            // Pesos não são arredondados: os calculados (redução de grau, inserção de nós) são exatos
+            const weight = point.weight || 1.0;
+            const clamped = Math.max(0.1, Math.min(3.0, weight));
+            if (changes && clamped !== weight) {
+                changes.push({ path: `${path}[${index}].weight`, message: `peso ${point.weight} limitado a ${clamped}` });
+            }
+
+            validated.push({
+                x: this.roundCoordinate(point.x),
+                y: this.roundCoordinate(point.y),
+                weight: clamped,
+                id: point.id || this.generateId()
+            });
+        });
+
+        return validated;
+    },
+
+    /**
+     * Arredonda uma coordenada preservando precisão sub-pixel.
+     * Operações como inserção de nós geram pontos fracionários que
+     * não podem ser arredondados para inteiros sem alterar a curva.
+     * @param {number} value - Coordenada
+     * @returns {number} Coordenada arredondada em 4 casas decimais
+     */
+    roundCoordinate(value) {
+        return Math.round(value * 10000) / 10000;
+    },
+
+    /**
+     * Valida um vetor de nós vindo de fora (localStorage ou importação)
+     * @param {Array} knots - Vetor de nós
+     * @returns {Array} Vetor de nós validado (vazio se inválido)
+     */
+    validateKnots(knots) {
+        if (!Array.isArray(knots)) return [];
+        if (!knots.every(knot => typeof knot === 'number' && Number.isFinite(knot))) return [];
+        return knots.slice();
+    },
+
+    /**
+     * Obtém o vetor de nós da spline para o grau informado.
+     * Se o vetor salvo não combinar com o número de pontos/grau atual,
+     * devolve o vetor do preset em uso (o estado só muda nos editores de nós)
+     * @param {number} degree - Grau efetivo da curva
+     * @returns {Array|null} Vetor de nós ou null se não houver pontos suficientes
+     */
+    getSplineKnots(degree) {
+        const n = this.state.splinePoints.length;
+        if (n < degree + 1) return null;
+
+        if (CurveMath.isValidKnotVector(this.state.splineKnots, n, degree)) {
+            return this.state.splineKnots.slice();
+        }
+        return CurveMath.generateKnotVector(n, degree, this.getKnotType(degree));
+    },
+
+    /**
+     * Obtém o preset do vetor de nós em uso
+     * @param {number} degree - Grau efetivo da curva
+     * @returns {string} Preset; um vetor personalizado que não sobreviveu à mudança
+     *          de pontos/grau vale como 'clamped'
+     */
+    getKnotType(degree) {
+        const knotType = this.state.settings.knotType;
+        if (knotType !== 'custom') return knotType;
+
+        const valid = CurveMath.isValidKnotVector(this.state.splineKnots, this.state.splinePoints.length, degree);
+        return valid ? knotType : 'clamped';
+    },
+
+    /**
+     * Define o vetor de nós da spline
+     * @param {Array} knots - Novo vetor de nós
+     * @param {number} degree - Grau efetivo da curva
+     * @param {string} knotType - Preset de origem ('custom' para edições manuais)
+     * @returns {boolean} True se o vetor foi aceito
+     */
+    setSplineKnots(knots, degree, knotType = 'custom') {
+        if (!CurveMath.isValidKnotVector(knots, this.state.splinePoints.length, degree)) {
+            return false;
+        }
+
+        this.state.splineKnots = knots.slice();
+        this.state.settings.knotType = knotType;
+        this.commit('Editar vetor de nós');
+        return true;
+    },
+
+    /**
+     * Verifica se pontos e vetor de nós podem substituir a spline sem ajustes
+     * @param {Array} points - Pontos de controle
+     * @param {Array} knots - Vetor de nós
+     * @param {number} degree - Grau efetivo da curva
+     * @returns {boolean} True se setSplineGeometry aceitaria a geometria
+     */
+    isValidSplineGeometry(points, knots, degree) {
+        // Pesos fora do intervalo seriam limitados e alterariam a curva
+        if (points.some(point => point.weight < 0.1 || point.weight > 3.0)) {
+            return false;
+        }
+
+        // Pontos descartados pela validação desalinhariam o vetor de nós
+        const validatedPoints = this.validatePoints(points);
+        return validatedPoints.length === points.length &&
+            CurveMath.isValidKnotVector(knots, validatedPoints.length, degree);
+    },
+
+    /**
+     * Substitui pontos e vetor de nós da spline de uma só vez
+     * (usado por operações que alteram os dois, como inserção de nós)
+     * @param {Array} points - Novos pontos de controle
+     * @param {Array} knots - Novo vetor de nós
+     * @param {number} degree - Grau efetivo da curva
+     * @returns {boolean} True se a geometria foi aceita
+     */
+    setSplineGeometry(points, knots, degree) {
+        if (!this.isValidSplineGeometry(points, knots, degree)) {
+            return false;
+        }
+
+        this.state.splinePoints = this.validatePoints(points);
+        this.state.splineKnots = knots.slice();
+        this.state.settings.knotType = 'custom';
+        this.commit('Editar geometria da spline');
+        return true;
+    },
+
+    /**
+     * Aplica um preset ao vetor de nós da spline
+     * @param {string} knotType - Preset ('clamped', 'unclamped' ou 'uniform')
+     * @param {number} degree - Grau efetivo da curva
+     * @returns {boolean} True se aplicado com sucesso
+     */
+    applyKnotPreset(knotType, degree) {
+        const n = this.state.splinePoints.length;
+        this.state.settings.knotType = knotType;
+
+        if (n < degree + 1) {
+            this.commit('Aplicar preset de nós');
+            return false;
+        }
+
+        const knots = CurveMath.generateKnotVector(n, degree, knotType, this.state.splineKnots);
+        return this.setSplineKnots(knots, degree, knotType);
+    },
+
+    /**
+     * Substitui a spline pela B-spline que interpola os pontos de passagem.
+     * O sistema só é resolvido de novo quando pontos de passagem, grau ou
+     * parametrização mudam; a geometria resultante é derivada e não é salva aqui
+     * @param {number} degree - Grau desejado
+     * @returns {boolean} True se a interpolação foi resolvida
+     */
+    solveSplineInterpolation(degree) {
+        const settings = this.state.settings;
+        const dataPoints = this.state.splineDataPoints;
+        const input = JSON.stringify([degree, settings.splineInterpolation, dataPoints.map(p => [p.x, p.y])]);
+        const describeOutput = () => JSON.stringify([
+            this.state.splinePoints.map(p => [p.x, p.y, p.weight]),
+            this.state.splineKnots
+        ]);
+
+        // A spline ainda é a da última interpolação destas entradas
+        const cache = this.interpolationCache;
+        if (cache && cache.input === input && cache.output === describeOutput()) {
+            return cache.solved;
+        }
+
+        let solved = true;
+        if (dataPoints.length < 2) {
+            this.state.splinePoints = [];
+            this.state.splineKnots = [];
+        } else {
+            const result = CurveMath.interpolateBSpline(dataPoints, degree, settings.splineInterpolation);
+            solved = Boolean(result);
+            if (result) {
+                this.state.splinePoints = this.validatePoints(result.controlPoints);
+                this.state.splineKnots = result.knots.slice();
+                settings.knotType = 'custom';
+            }
+        }
+
+        this.interpolationCache = { input, output: describeOutput(), solved };
+        return solved;
+    },
+
+    /**
+     * Obtém os parâmetros da spline de Catmull-Rom / Kochanek–Bartels
+     * @returns {Object} {parameterization, tension, bias, continuity}
+     */
+    getCatmullRomOptions() {
+        const settings = this.state.settings;
+        return {
+            parameterization: settings.catmullRomParameterization,
+            tension: settings.catmullRomTension,
+            bias: settings.catmullRomBias,
+            continuity: settings.catmullRomContinuity
+        };
+    },
+
+    /**
+     * Atualiza os parâmetros da spline de Catmull-Rom (valores ausentes ou inválidos são ignorados)
+     * @param {Object} options - {parameterization, tension, bias, continuity}
+     */
+    setCatmullRomOptions(options = {}) {
+        this.applyCatmullRomOptions(options);
+        this.commit('Alterar Catmull-Rom', true);
+    },
+
+    /**
+     * Copia para as configurações os parâmetros válidos da Catmull-Rom, sem salvar
+     * @param {Object} options - {parameterization, tension, bias, continuity}
+     */
+    applyCatmullRomOptions(options) {
+        if (options.parameterization in CurveMath.parameterizationAlphas) {
+            this.state.settings.catmullRomParameterization = options.parameterization;
+        }
+
+        // Tensão, viés e continuidade ficam em [-1, 1]
+        const keys = { tension: 'catmullRomTension', bias: 'catmullRomBias', continuity: 'catmullRomContinuity' };
+        Object.entries(keys).forEach(([option, key]) => {
+            const value = options[option];
+            if (typeof value === 'number' && !Number.isNaN(value)) {
+                this.state.settings[key] = Math.max(-1, Math.min(1, value));
+            }
+        });
+    },
+
+    /**
+     * Atualiza os parâmetros da sobreposição de geometria diferencial
+     * (valores ausentes ou inválidos são ignorados)
+     * @param {Object} options - {frameParameters, combScale}
+     */
+    setOverlayOptions(options = {}) {
+        if (Array.isArray(options.frameParameters)) {
+            this.state.settings.frameParameters = options.frameParameters
+                .filter(t => typeof t === 'number' && !Number.isNaN(t))
+                .map(t => Math.max(0, Math.min(1, t)));
+        }
+
+        if (typeof options.combScale === 'number' && !Number.isNaN(options.combScale)) {
+            this.state.settings.combScale = Math.max(0.1, Math.min(5, options.combScale));
+        }
+
+        this.saveToLocalStorage();
+    },
+
+    /**
+     * Obtém as opções de tesselação da curva
+     * @returns {Object} {mode, flatness, angle}
+     */
+    getTessellationOptions() {
+        const settings = this.state.settings;
+        return {
+            mode: settings.tessellation,
+            flatness: settings.flatnessTolerance,
+            angle: settings.angleTolerance
+        };
+    },
+
+    /**
+     * Atualiza as opções de tesselação (valores ausentes ou inválidos são ignorados)
+     * @param {Object} options - {mode, flatness, angle}
+     */
+    setTessellationOptions(options = {}) {
+        if (options.mode === 'fixed' || options.mode === 'adaptive') {
+            this.state.settings.tessellation = options.mode;
+        }
+
+        if (typeof options.flatness === 'number' && !Number.isNaN(options.flatness)) {
+            this.state.settings.flatnessTolerance = Math.max(0.05, Math.min(5, options.flatness));
+        }
+
+        if (typeof options.angle === 'number' && !Number.isNaN(options.angle)) {
+            this.state.settings.angleTolerance = Math.max(1, Math.min(45, options.angle));
+        }
+
+        this.saveToLocalStorage();
+    },
+
+    /**
+     * Atualiza distância e lado da curva paralela (valores ausentes ou inválidos são ignorados)
+     * @param {Object} options - {distance, side}
+     */
+    setOffsetOptions(options = {}) {
+        if (typeof options.distance === 'number' && !Number.isNaN(options.distance)) {
+            this.state.settings.offsetDistance = Math.max(0, Math.min(500, options.distance));
+        }
+
+        if (options.side === 'left' || options.side === 'right') {
+            this.state.settings.offsetSide = options.side;
+        }
+
+        this.saveToLocalStorage();
+    },
+
+    /**
+     * Obtém as opções da exportação SVG
+     * @returns {Object} {mode, controlPolygon, labels, grid}
+     */
+    getSvgOptions() {
+        const settings = this.state.settings;
+        return {
+            mode: settings.svgMode,
+            controlPolygon: settings.svgControlPolygon,
+            labels: settings.svgLabels,
+            grid: settings.svgGrid
+        };
+    },
+
+    /**
+     * Atualiza o modo da exportação SVG (valores inválidos são ignorados)
+     * @param {Object} options - {mode: 'exact' ou 'sampled'}
+     */
+    setSvgOptions(options = {}) {
+        if (options.mode === 'exact' || options.mode === 'sampled') {
+            this.state.settings.svgMode = options.mode;
+        }
+
+        this.saveToLocalStorage();
     },
 
     /**
      * Encontra o ponto de controle mais próximo
      * @param {Object} targetPoint - Ponto alvo {x, y}
-     * @param {string} curveType - Tipo de curva ('bezier' ou 'spline')
+     * @param {string} curveType - Tipo de curva ('bezier', 'spline' ou 'catmullrom')
      * @param {number} threshold - Distância máxima
      * @returns {number} Índice do ponto ou -1
      */
@@ -219,16 +1036,16 @@ const DataManager = {
     updateSetting(key, value) {
         if (this.state.settings.hasOwnProperty(key)) {
             this.state.settings[key] = value;
-            this.saveToLocalStorage();
+            this.commit('Alterar configuração');
         }
     },
 
     /**
      * Define a aba atual
-     * @param {string} tab - Nome da aba ('bezier' ou 'spline')
+     * @param {string} tab - Nome da aba ('bezier', 'spline' ou 'catmullrom')
      */
     setCurrentTab(tab) {
-        if (tab === 'bezier' || tab === 'spline') {
+        if (this.tabs.includes(tab)) {
             this.state.currentTab = tab;
             this.saveToLocalStorage();
         }
@@ -261,6 +1078,11 @@ const DataManager = {
                     y: p.y,
                     weight: p.weight
                 })),
+                segments: this.state.bezierSegments.map(segment => segment.map(p => ({
+                    x: p.x,
+                    y: p.y,
+                    weight: p.weight
+                }))),
                 settings: {
                     steps: settings.bezierSteps,
                     showConstructionLines: settings.showConstructionLines
@@ -270,11 +1092,41 @@ const DataManager = {
                     version: '1.0'
                 }
             };
-        } else {
+        } else if (type === 'catmullrom') {
             return {
+                type: 'catmullrom',
+                ...this.getCatmullRomOptions(),
+                controlPoints: points.map(p => ({
+                    x: p.x,
+                    y: p.y,
+                    weight: p.weight
+                })),
+                settings: {
+                    steps: settings.catmullRomSteps,
+                    showConstructionLines: settings.showConstructionLines
+                },
+                metadata: {
+                    exportDate: new Date().toISOString(),
+                    version: '1.0'
+                }
+            };
+        } else {
+            const effectiveDegree = Math.min(settings.splineDegree, Math.max(1, points.length - 1));
+            const closed = Boolean(settings.splineClosed);
+
+            // Curvas fechadas usam o vetor periódico derivado dos pontos
+            const knots = closed
+                ? (points.length >= 2 ? CurveMath.buildPeriodicBSpline(points, effectiveDegree).knots : null)
+                : this.getSplineKnots(effectiveDegree);
+
+            const data = {
                 type: 'spline',
                 degree: settings.splineDegree,
                 interpolationStep: settings.splineStep,
+                closed,
+                mode: settings.splineMode,
+                knotType: closed ? settings.knotType : this.getKnotType(effectiveDegree),
+                knots: knots || [],
                 controlPoints: points.map(p => ({
                     x: p.x,
                     y: p.y,
@@ -289,44 +1141,176 @@ const DataManager = {
                     version: '1.0'
                 }
             };
+
+            // No modo de interpolação os pontos de passagem também são exportados
+            if (settings.splineMode === 'interpolate') {
+                data.interpolation = {
+                    parameterization: settings.splineInterpolation,
+                    dataPoints: this.state.splineDataPoints.map(p => ({ x: p.x, y: p.y }))
+                };
+            }
+
+            return data;
         }
     },
 
     /**
-     * Importa dados de curva
-     * @param {Object} data - Dados para importar
-     * @returns {boolean} True se importado com sucesso
+     * Exporta o documento completo (formato .curves.json): todas as curvas com
+     * seus vetores de nós, as configurações e a seleção
+     * @param {Object} selection - Seleção atual {point, knot} (índices; -1 sem seleção)
+     * @returns {Object} Documento na versão CurveDocument.version
      */
-    importCurveData(data) {
+    exportDocument(selection = {}) {
+        const settings = this.state.settings;
+        const copyPoints = points => points.map(p => ({ x: p.x, y: p.y, weight: p.weight }));
+        const curves = this.state.curves.map(curve => {
+            const data = { ...this.getCurveData(curve) };
+            data.controlPoints = copyPoints(data.controlPoints || []);
+            if (data.segments) data.segments = data.segments.map(copyPoints);
+            if (data.dataPoints) data.dataPoints = copyPoints(data.dataPoints);
+            if (data.knots) data.knots = data.knots.slice();
+
+            // A spline em edição grava o vetor em uso (o salvo pode ter ficado para trás)
+            if (curve.type === 'spline' && this.isCurveActive(curve) && !settings.splineClosed) {
+                const degree = Math.min(settings.splineDegree, Math.max(1, data.controlPoints.length - 1));
+                data.knots = this.getSplineKnots(degree) || [];
+                data.knotType = this.getKnotType(degree);
+            }
+
+            const { id, type, name, color, visible, locked } = curve;
+            return { id, type, name, color, visible, locked, data };
+        });
+
+        const documentSettings = { ...settings, frameParameters: settings.frameParameters.slice() };
+        this.preferenceKeys.forEach(key => delete documentSettings[key]);
+
+        return {
+            format: 'curves',
+            version: CurveDocument.version,
+            currentTab: this.state.currentTab,
+            activeCurves: { ...this.state.activeCurves },
+            curves,
+            settings: documentSettings,
+            selection: {
+                point: Number.isInteger(selection.point) ? selection.point : -1,
+                knot: Number.isInteger(selection.knot) ? selection.knot : -1
+            },
+            metadata: {
+                exportDate: new Date().toISOString()
+            }
+        };
+    },
+
+    /**
+     * Carrega um documento na versão atual (use CurveDocument.upgrade para arquivos antigos)
+     * @param {Object} curveDocument - Documento já validado e migrado
+     * @param {Array} changes - Lista onde os ajustes feitos nos dados são relatados {path, message} (opcional)
+     * @param {boolean} merge - Acrescenta as curvas ao documento aberto em vez de substituí-lo
+     * @returns {boolean} True se carregado com sucesso
+     */
+    loadDocument(curveDocument, changes = [], merge = false) {
+        // Todas as alterações da carga formam um único passo do histórico
+        CommandHistory.begin(merge ? 'Importar JSON' : 'Abrir documento');
+
         try {
-            if (!data.type || !Array.isArray(data.controlPoints)) {
+            if (!curveDocument || !Array.isArray(curveDocument.curves)) {
                 throw new Error('Formato de dados inválido');
             }
 
-            const points = this.validatePoints(data.controlPoints);
-            
-            if (data.type === 'bezier') {
-                this.state.bezierPoints = points;
-            } else if (data.type === 'spline') {
-                this.state.splinePoints = points;
-                
-                // Importa configurações de spline se disponíveis
-                if (data.degree) {
-                    this.updateSetting('splineDegree', data.degree);
-                }
-                if (data.interpolationStep) {
-                    this.updateSetting('splineStep', data.interpolationStep);
+            const curves = curveDocument.curves
+                .map((curve, index) => this.validateCurve(curve, changes, `curves[${index}]`))
+                .filter(Boolean);
+
+            // Identificadores repetidos (ou já usados no documento aberto) são trocados
+            const ids = new Set(merge ? this.state.curves.map(curve => curve.id) : []);
+            curves.forEach(curve => {
+                if (ids.has(curve.id)) curve.id = this.generateId();
+                ids.add(curve.id);
+            });
+
+            // As configurações vêm antes: os dados de cada curva têm precedência sobre elas.
+            // Curvas acrescentadas ao documento aberto mantêm as configurações atuais
+            const settings = this.validateSettings(curveDocument.settings, changes);
+            if (merge) {
+                Object.keys(settings).forEach(key => changes.push({
+                    path: `settings.${key}`,
+                    message: 'ignorado: a importação acrescenta curvas e mantém as configurações do documento aberto'
+                }));
+            } else {
+                Object.assign(this.state.settings, settings);
+            }
+
+            if (merge) {
+                curves.forEach(curve => {
+                    // Uma curva vazia em edição dá lugar à importada; as demais não são sobrescritas
+                    const active = this.getActiveCurve(curve.type);
+                    const current = this.captureCurveData(curve.type);
+                    const empty = current.controlPoints.length === 0 &&
+                        (current.segments || []).length === 0 &&
+                        (current.dataPoints || []).length === 0;
+
+                    if (active && empty) {
+                        this.state.curves.splice(this.state.curves.indexOf(active), 1, curve);
+                        this.state.activeCurves[curve.type] = null;
+                    } else {
+                        this.state.curves.push(curve);
+                    }
+                    this.bindCurve(curve);
+                    this.state.currentTab = curve.type;
+                });
+            } else {
+                const activeCurves = curveDocument.activeCurves || {};
+                this.state.curves = curves;
+                this.state.activeCurves = { bezier: null, spline: null, catmullrom: null };
+                this.tabs.forEach(type => {
+                    const curve = curves.find(item => item.type === type && item.id === activeCurves[type])
+                        || curves.find(item => item.type === type)
+                        || this.createCurve(type);
+                    this.bindCurve(curve);
+                });
+
+                if (this.tabs.includes(curveDocument.currentTab)) {
+                    this.state.currentTab = curveDocument.currentTab;
                 }
             }
 
             this.saveToLocalStorage();
             return true;
         } catch (error) {
-            console.error('Erro ao importar dados:', error);
+            console.error('Erro ao carregar documento:', error);
             return false;
+        } finally {
+            CommandHistory.end();
         }
     },
 
+    /**
+     * Importa dados de curva em qualquer versão do formato (as curvas entram como curvas novas)
+     * @param {Object} data - Dados para importar
+     * @param {Array} changes - Lista onde os ajustes feitos nos dados são relatados {path, message} (opcional)
+     * @returns {boolean} True se importado com sucesso
+     */
+    importCurveData(data, changes = []) {
+        const result = CurveDocument.upgrade(data);
+        if (result.errors.length > 0) {
+            console.error('Erro ao importar dados:', result.errors);
+            return false;
+        }
+
+        changes.push(...result.notes);
+        return this.loadDocument(result.document, changes, true);
+    },
+
+    /**
+     * Salva o estado e registra a edição no histórico de comandos
+     * @param {string} label - Descrição da edição (aparece em Desfazer/Refazer)
+     * @param {boolean} coalesce - Junta edições seguidas de mesmo nome (sliders, setas)
+     */
+    commit(label, coalesce = false) {
+        CommandHistory.record(label, coalesce);
+        this.saveToLocalStorage();
+    },
+
     /**
      * Salva estado no localStorage
      */
@@ -352,7 +1336,13 @@ const DataManager = {
                     ...this.state,
                     ...data,
                     bezierPoints: this.validatePoints(data.bezierPoints || []),
+                    bezierSegments: (data.bezierSegments || []).map(points => this.validatePoints(points)),
                     splinePoints: this.validatePoints(data.splinePoints || []),
+                    splineKnots: this.validateKnots(data.splineKnots),
+                    splineDataPoints: this.validatePoints(data.splineDataPoints || []),
+                    catmullRomPoints: this.validatePoints(data.catmullRomPoints || []),
+                    curves: (data.curves || []).map(curve => this.validateCurve(curve)).filter(Boolean),
+                    activeCurves: { ...this.state.activeCurves, ...data.activeCurves },
                     settings: {
                         ...this.state.settings,
                         ...data.settings
@@ -414,10 +1404,17 @@ const DataManager = {
             ? this.state.settings.splineDegree
             : 1;
         const splineDegree = Math.min(desiredDegree, availableDegree);
+
+        // Catmull-Rom é formada por trechos cúbicos de Hermite
+        const degrees = {
+            bezier: availableDegree,
+            spline: splineDegree,
+            catmullrom: Math.min(3, availableDegree)
+        };
         
         return {
             pointCount: points.length,
-            degree: type === 'bezier' ? availableDegree : splineDegree,
+            degree: degrees[type],
             boundingBox,
             totalWeight,
             averageWeight: totalWeight / points.length
@@ -442,6 +1439,8 @@ const DataManager = {
             errors.push('Nenhum ponto de controle definido');
         } else if (type === 'bezier' && points.length < 2) {
             errors.push('Curva de Bézier precisa de pelo menos 2 pontos');
+        } else if (type === 'catmullrom' && points.length < 2) {
+            errors.push('Spline de Catmull-Rom precisa de pelo menos 2 pontos');
         } else if (type === 'spline' && points.length < settings.splineDegree + 1) {
             errors.push(`B-Spline de grau ${settings.splineDegree} precisa de pelo menos ${settings.splineDegree + 1} pontos`);
         }
@@ -459,7 +1458,13 @@ const DataManager = {
     reset() {
         this.state = {
             bezierPoints: [],
+            bezierSegments: [],
             splinePoints: [],
+            splineKnots: [],
+            splineDataPoints: [],
+            catmullRomPoints: [],
+            curves: [],
+            activeCurves: { bezier: null, spline: null, catmullrom: null },
             currentTab: 'bezier',
             settings: {
                 showConstructionLines: true,
@@ -467,10 +1472,41 @@ const DataManager = {
                 bezierSteps: 100,
                 splineSteps: 100,
                 splineDegree: 3,
-                splineStep: 0.01
+                splineStep: 0.01,
+                knotType: 'clamped',
+                splineClosed: false,
+                splineMode: 'control',
+                splineInterpolation: 'chordal',
+                showBasisPlot: false,
+                catmullRomParameterization: 'centripetal',
+                catmullRomTension: 0,
+                catmullRomBias: 0,
+                catmullRomContinuity: 0,
+                catmullRomSteps: 20,
+                sketchTolerance: 4,
+                arcLengthSampling: false,
+                showTangents: false,
+                showCurvatureComb: false,
+                showInflections: false,
+                frameParameters: [0.25, 0.5, 0.75],
+                combScale: 1,
+                tessellation: 'fixed',
+                flatnessTolerance: 0.5,
+                angleTolerance: 10,
+                showIntersections: false,
+                showOffset: false,
+                offsetDistance: 30,
+                offsetSide: 'left',
+                showBezierDecomposition: false,
+                persistHistory: false,
+                svgMode: 'exact',
+                svgControlPolygon: true,
+                svgLabels: false,
+                svgGrid: false
             }
         };
-        this.saveToLocalStorage();
+        this.ensureActiveCurves();
+        this.commit('Restaurar padrões');
     }
 };
 
@@ -0,0 +1,169 @@
+/**
+ * Módulo de Versões do Documento
+ * Identifica a versão de um arquivo importado e o atualiza, migração a migração,
+ * até o formato de documento atual (.curves.json)
+ */
+
+const CurveDocument = {
+    // Versão gravada por DataManager.exportDocument
+    version: '2.0',
+
+    // Migrações em ordem; cada uma recebe dados já válidos no esquema de `from`
+    // (sourcePath traduz um caminho do resultado para o campo de origem, usado nos relatórios)
+    migrations: [
+        {
+            from: '1.0',
+            to: '2.0',
+            description: 'curva única exportada por aba convertida em documento',
+            migrate: (data, notes) => CurveDocument.migrateV1(data, notes),
+            sourcePath: path => path
+                .replace(/^curves\[0\]\.data\.dataPoints/, 'interpolation.dataPoints')
+                .replace(/^curves\[0\]\.data\./, '')
+                .replace(/^settings\.splineStep$/, 'interpolationStep')
+                .replace(/^settings\.(bezierSteps|splineSteps|catmullRomSteps)$/, 'settings.steps')
+        }
+    ],
+
+    /**
+     * Identifica a versão do formato de um arquivo
+     * (as exportações de uma curva guardam a versão em metadata; as sem versão são tratadas como 1.0)
+     * @param {Object} data - Arquivo JSON interpretado
+     * @returns {string} Versão ('1.0', '2.0', ...)
+     */
+    getVersion(data) {
+        if (data && typeof data.version === 'string') return data.version;
+        if (data && data.metadata && typeof data.metadata.version === 'string') return data.metadata.version;
+        return '1.0';
+    },
+
+    /**
+     * Compara duas versões no formato maior.menor
+     * @param {string} a - Primeira versão
+     * @param {string} b - Segunda versão
+     * @returns {number} Negativo se a < b, zero se iguais, positivo se a > b
+     */
+    compareVersions(a, b) {
+        const [majorA, minorA = 0] = a.split('.').map(Number);
+        const [majorB, minorB = 0] = b.split('.').map(Number);
+        return majorA !== majorB ? majorA - majorB : minorA - minorB;
+    },
+
+    /**
+     * Atualiza um arquivo até a versão atual: valida no esquema da sua versão
+     * e aplica as migrações em sequência
+     * @param {Object} data - Arquivo JSON interpretado
+     * @returns {Object} {document, version, steps, notes, errors}; com erros, document é null
+     */
+    upgrade(data) {
+        const version = this.getVersion(data);
+        const result = { document: null, version, steps: [], notes: [], errors: [] };
+
+        if (!/^\d+\.\d+$/.test(version)) {
+            result.errors.push({ path: 'version', message: `versão ${JSON.stringify(version)} desconhecida` });
+            return result;
+        }
+        if (this.compareVersions(version, this.version) > 0) {
+            result.errors.push({
+                path: 'version',
+                message: `arquivo criado na versão ${version} do formato; este aplicativo lê até a versão ${this.version}. Atualize o aplicativo para abri-lo`
+            });
+            return result;
+        }
+
+        const schema = CurveSchema.forVersion(version);
+        if (!schema) {
+            result.errors.push({ path: 'version', message: `versão ${version} não suportada` });
+            return result;
+        }
+
+        result.errors = CurveSchema.validate(data, schema);
+        if (result.errors.length > 0) return result;
+
+        let document = data;
+        let current = version;
+        while (current !== this.version) {
+            const migration = this.migrations.find(item => item.from === current);
+            if (!migration) {
+                result.errors.push({ path: 'version', message: `não há migração da versão ${current}` });
+                return result;
+            }
+
+            document = migration.migrate(document, result.notes);
+            result.steps.push(migration);
+            current = migration.to;
+        }
+
+        result.document = document;
+        return result;
+    },
+
+    /**
+     * Traduz o caminho de um campo do documento migrado para o arquivo original
+     * @param {Object} result - Resultado de upgrade
+     * @param {string} path - Caminho no documento atual
+     * @returns {string} Caminho no arquivo importado
+     */
+    sourcePath(result, path) {
+        return result.steps.reduceRight((current, step) => step.sourcePath(current), path);
+    },
+
+    /**
+     * Migração 1.0 → 2.0: a curva exportada por uma aba vira um documento com uma curva
+     * @param {Object} data - Exportação de uma curva (DataManager.exportCurveData)
+     * @param {Array} notes - Lista onde os ajustes são relatados {path, message} (caminhos do arquivo 1.0)
+     * @returns {Object} Documento 2.0
+     */
+    migrateV1(data, notes) {
+        const curveData = { controlPoints: data.controlPoints };
+        const settings = {};
+
+        if (data.type === 'bezier') {
+            curveData.segments = data.segments || [];
+        } else if (data.type === 'catmullrom') {
+            ['parameterization', 'tension', 'bias', 'continuity'].forEach(key => {
+                if (key in data) curveData[key] = data[key];
+            });
+        } else {
+            // Pontos de passagem do modo de interpolação (os pontos de controle já vêm resolvidos)
+            const interpolation = data.interpolation || {};
+            const interpolating = data.mode === 'interpolate' && Array.isArray(interpolation.dataPoints);
+            if (data.mode === 'interpolate' && !interpolating) {
+                notes.push({ path: 'interpolation.dataPoints', message: 'ausente: a curva foi importada no modo de pontos de controle' });
+            }
+
+            Object.assign(curveData, {
+                knots: data.knots || [],
+                dataPoints: interpolating ? interpolation.dataPoints : [],
+                knotType: data.knotType || 'custom',
+                closed: data.closed === true,
+                mode: interpolating ? 'interpolate' : 'control'
+            });
+            if ('degree' in data) curveData.degree = data.degree;
+            if ('parameterization' in interpolation) curveData.interpolation = interpolation.parameterization;
+
+            if (typeof data.interpolationStep === 'number') {
+                settings.splineStep = data.interpolationStep;
+            }
+        }
+
+        const stepsKeys = { bezier: 'bezierSteps', spline: 'splineSteps', catmullrom: 'catmullRomSteps' };
+        const exported = data.settings || {};
+        if (typeof exported.steps === 'number') settings[stepsKeys[data.type]] = exported.steps;
+        if (typeof exported.showConstructionLines === 'boolean') {
+            settings.showConstructionLines = exported.showConstructionLines;
+        }
+
+        return {
+            format: 'curves',
+            version: '2.0',
+            currentTab: data.type,
+            curves: [{ type: data.type, data: curveData }],
+            settings,
+            selection: { point: -1, knot: -1 },
+            metadata: { exportDate: (data.metadata && data.metadata.exportDate) || new Date().toISOString() }
+        };
+    }
+};
+
+// Exporta o módulo para uso global
+window.CurveDocument = CurveDocument;
@@ -0,0 +1,264 @@
+/**
+ * Módulo de Histórico de Comandos (desfazer/refazer)
+ * Cada comando guarda o documento antes e depois de uma edição do DataManager
+ */
+
+const CommandHistory = {
+    undoStack: [],
+    redoStack: [],
+    limit: 100,
+    current: null,
+    group: null,
+    storageKey: 'curveAppHistory',
+
+    // Partes do estado que formam o documento (o resto é visualização)
+    documentKeys: [
+        'bezierPoints', 'bezierSegments', 'splinePoints', 'splineKnots', 'splineDataPoints', 'catmullRomPoints',
+        'curves', 'activeCurves'
+    ],
+    documentSettings: [
+        'splineDegree', 'knotType', 'splineClosed', 'splineMode', 'splineInterpolation',
+        'catmullRomParameterization', 'catmullRomTension', 'catmullRomBias', 'catmullRomContinuity'
+    ],
+
+    // Callback para mudanças no histórico
+    onChange: null,
+
+    /**
+     * Inicializa o histórico a partir do estado atual (e do histórico salvo, se ativado)
+     * @param {Object} callbacks - Callbacks para eventos
+     */
+    init(callbacks = {}) {
+        this.onChange = callbacks.onChange || (() => {});
+        this.undoStack = [];
+        this.redoStack = [];
+        this.group = null;
+        this.current = this.snapshot();
+
+        if (DataManager.getSettings().persistHistory) {
+            this.load();
+        }
+    },
+
+    /**
+     * Serializa o documento atual
+     * (no modo de interpolação a spline e seus nós são derivados dos pontos de passagem e ficam de fora)
+     * @returns {string} Documento em JSON
+     */
+    snapshot() {
+        const state = DataManager.state;
+        const interpolating = state.settings.splineMode === 'interpolate';
+        const data = { settings: {} };
+
+        this.documentKeys.forEach(key => {
+            if (interpolating && (key === 'splinePoints' || key === 'splineKnots')) return;
+            data[key] = state[key];
+        });
+        this.documentSettings.forEach(key => {
+            if (interpolating && key === 'knotType') return;
+            data.settings[key] = state.settings[key];
+        });
+
+        return JSON.stringify(data);
+    },
+
+    /**
+     * Aplica um documento salvo ao DataManager
+     * @param {string} snapshot - Documento em JSON
+     */
+    restore(snapshot) {
+        const data = JSON.parse(snapshot);
+        const state = DataManager.state;
+
+        this.documentKeys.forEach(key => {
+            if (key in data) state[key] = data[key];
+        });
+        state.settings = { ...state.settings, ...data.settings };
+
+        this.current = snapshot;
+        DataManager.saveToLocalStorage();
+    },
+
+    /**
+     * Registra um comando se o documento mudou desde o último registro
+     * @param {string} label - Descrição da edição
+     * @param {boolean} coalesce - Junta com o comando anterior de mesmo nome (sliders, setas)
+     */
+    record(label, coalesce = false) {
+        // Dentro de um grupo (arrasto, importação) só o fim do grupo registra
+        if (this.group) return;
+
+        const next = this.snapshot();
+        if (this.current === null) {
+            this.current = next;
+            return;
+        }
+        if (next === this.current) return;
+
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (coalesce && last && last.label === label && now - last.time < 1000) {
+            last.after = next;
+            last.time = now;
+        } else {
+            this.undoStack.push({ label, before: this.current, after: next, time: now });
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.current = next;
+        this.redoStack = [];
+        this.changed();
+    },
+
+    /**
+     * Inicia um grupo: as edições até o end correspondente viram um único comando
+     * @param {string} label - Descrição do grupo
+     */
+    begin(label) {
+        if (this.group) {
+            this.group.depth++;
+            return;
+        }
+
+        this.group = { label, depth: 1 };
+    },
+
+    /**
+     * Fecha o grupo aberto e registra o comando resultante
+     */
+    end() {
+        if (!this.group) return;
+
+        this.group.depth--;
+        if (this.group.depth > 0) return;
+
+        const label = this.group.label;
+        this.group = null;
+        this.record(label);
+    },
+
+    /**
+     * Desfaz o último comando
+     * @returns {Object|null} Comando desfeito ou null se não há o que desfazer
+     */
+    undo() {
+        this.flushGroup();
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.restore(command.before);
+        this.redoStack.push(command);
+        this.changed();
+        return command;
+    },
+
+    /**
+     * Refaz o último comando desfeito
+     * @returns {Object|null} Comando refeito ou null se não há o que refazer
+     */
+    redo() {
+        this.flushGroup();
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.restore(command.after);
+        this.undoStack.push(command);
+        this.changed();
+        return command;
+    },
+
+    /**
+     * Fecha qualquer grupo pendente (ex.: desfazer no meio de um arrasto)
+     */
+    flushGroup() {
+        if (!this.group) return;
+
+        this.group.depth = 1;
+        this.end();
+    },
+
+    /**
+     * Esvazia o histórico mantendo o documento atual como ponto de partida
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.group = null;
+        this.current = this.snapshot();
+        this.changed();
+    },
+
+    /**
+     * Estado resumido para a interface
+     * @returns {Object} {undoLabel, redoLabel, size}
+     */
+    getStatus() {
+        const undo = this.undoStack[this.undoStack.length - 1];
+        const redo = this.redoStack[this.redoStack.length - 1];
+        return {
+            undoLabel: undo ? undo.label : null,
+            redoLabel: redo ? redo.label : null,
+            size: this.undoStack.length
+        };
+    },
+
+    /**
+     * Salva o histórico (se ativado) e avisa a aplicação
+     */
+    changed() {
+        if (DataManager.getSettings().persistHistory) {
+            this.save();
+        }
+        this.onChange();
+    },
+
+    /**
+     * Salva as pilhas no localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                undoStack: this.undoStack,
+                redoStack: this.redoStack
+            }));
+        } catch (error) {
+            console.warn('Não foi possível salvar o histórico:', error);
+        }
+    },
+
+    /**
+     * Carrega as pilhas do localStorage; o histórico só vale se terminar no documento atual
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!saved || !Array.isArray(saved.undoStack) || !Array.isArray(saved.redoStack)) return;
+
+            const last = saved.undoStack[saved.undoStack.length - 1];
+            const next = saved.redoStack[saved.redoStack.length - 1];
+            const matches = last ? last.after === this.current : !next || next.before === this.current;
+            if (!matches) return;
+
+            this.undoStack = saved.undoStack.slice(-this.limit);
+            this.redoStack = saved.redoStack;
+        } catch (error) {
+            console.warn('Não foi possível carregar o histórico:', error);
+        }
+    },
+
+    /**
+     * Apaga o histórico salvo
+     */
+    forget() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Não foi possível apagar o histórico:', error);
+        }
+    }
+};
+
+// Exporta o módulo para uso global
+window.CommandHistory = CommandHistory;
@@ -0,0 +1,264 @@
+/**
+ * Módulo do Editor de Vetor de Nós
+ * Desenha a régua de parâmetros da B-Spline e permite arrastar os nós
+ */
+
+const KnotEditor = {
+    canvas: null,
+    ctx: null,
+    knots: [],
+    degree: 0,
+    handles: [],
+    selectedIndex: -1,
+    dragIndex: -1,
+    locked: false,
+    padding: 30,
+
+    // Callbacks para eventos
+    onKnotChange: null,
+    onKnotSelect: null,
+    onDragStart: null,
+    onDragEnd: null,
+
+    /**
+     * Inicializa o editor com o canvas da régua
+     * @param {HTMLCanvasElement} canvas - Canvas da régua de parâmetros
+     * @param {Object} callbacks - Callbacks para eventos
+     */
+    init(canvas, callbacks = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.onKnotChange = callbacks.onKnotChange || (() => {});
+        this.onKnotSelect = callbacks.onKnotSelect || (() => {});
+        this.onDragStart = callbacks.onDragStart || (() => {});
+        this.onDragEnd = callbacks.onDragEnd || (() => {});
+
+        this.setupEventListeners();
+    },
+
+    /**
+     * Configura event listeners da régua
+     */
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        this.canvas.addEventListener('mouseup', () => this.handleMouseUp());
+        this.canvas.addEventListener('mouseleave', () => this.handleMouseUp());
+    },
+
+    /**
+     * Converte um valor de parâmetro em coordenada X da régua
+     * @param {number} value - Valor do nó (0 a 1)
+     * @returns {number} Coordenada X
+     */
+    valueToX(value) {
+        return this.padding + value * (this.canvas.width - 2 * this.padding);
+    },
+
+    /**
+     * Converte uma coordenada X da régua em valor de parâmetro
+     * @param {number} x - Coordenada X
+     * @returns {number} Valor do nó limitado a [0, 1]
+     */
+    xToValue(x) {
+        const value = (x - this.padding) / (this.canvas.width - 2 * this.padding);
+        return Math.max(0, Math.min(1, value));
+    },
+
+    /**
+     * Converte coordenadas do evento para coordenadas do canvas da régua
+     * @param {MouseEvent} e - Evento de mouse
+     * @returns {Object} Coordenadas {x, y}
+     */
+    getCoordinates(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    },
+
+    /**
+     * Encontra o nó desenhado mais próximo das coordenadas
+     * @param {Object} coords - Coordenadas {x, y}
+     * @returns {number} Índice do nó ou -1
+     */
+    findKnotAt(coords) {
+        let nearestIndex = -1;
+        let minDistance = 10;
+
+        this.handles.forEach(handle => {
+            const distance = CurveMath.distance(handle, coords);
+            if (distance < minDistance) {
+                minDistance = distance;
+                nearestIndex = handle.index;
+            }
+        });
+
+        return nearestIndex;
+    },
+
+    /**
+     * Manipula mouse down na régua
+     * @param {MouseEvent} e - Evento de mouse
+     */
+    handleMouseDown(e) {
+        if (this.locked) return;
+
+        const index = this.findKnotAt(this.getCoordinates(e));
+        this.selectedIndex = index;
+        this.dragIndex = index;
+        if (index >= 0) this.onDragStart();
+        this.onKnotSelect(index);
+    },
+
+    /**
+     * Manipula mouse move na régua (arrasto de nó)
+     * @param {MouseEvent} e - Evento de mouse
+     */
+    handleMouseMove(e) {
+        const coords = this.getCoordinates(e);
+
+        if (this.dragIndex < 0) {
+            this.canvas.style.cursor = !this.locked && this.findKnotAt(coords) >= 0 ? 'grab' : 'default';
+            return;
+        }
+
+        // O nó não pode ultrapassar os vizinhos (vetor não decrescente)
+        const index = this.dragIndex;
+        const min = index > 0 ? this.knots[index - 1] : 0;
+        const max = index < this.knots.length - 1 ? this.knots[index + 1] : 1;
+        const value = Math.max(min, Math.min(max, this.xToValue(coords.x)));
+
+        this.canvas.style.cursor = 'grabbing';
+        if (value !== this.knots[index]) {
+            this.onKnotChange(index, value);
+        }
+    },
+
+    /**
+     * Finaliza o arrasto
+     */
+    handleMouseUp() {
+        if (this.dragIndex < 0) return;
+
+        this.dragIndex = -1;
+        this.onDragEnd();
+    },
+
+    /**
+     * Desenha a régua com o vetor de nós atual
+     * @param {Array} knots - Vetor de nós (vazio se a curva ainda não existe)
+     * @param {number} degree - Grau efetivo da curva
+     * @param {Object} evaluation - Avaliação de De Boor em destaque {t, span, spanRange} (opcional)
+     * @param {boolean} locked - Mostra o vetor sem permitir edição (curva fechada ou interpolada)
+     */
+    render(knots, degree, evaluation = null, locked = false) {
+        this.knots = knots || [];
+        this.degree = degree;
+        this.locked = locked;
+        this.handles = [];
+
+        if (this.locked || this.selectedIndex >= this.knots.length) {
+            this.selectedIndex = -1;
+        }
+
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const axisY = height - 22;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.save();
+
+        // Eixo do parâmetro
+        ctx.strokeStyle = '#999';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(this.valueToX(0), axisY);
+        ctx.lineTo(this.valueToX(1), axisY);
+        ctx.stroke();
+
+        ctx.fillStyle = '#666';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText('0', this.valueToX(0), axisY + 8);
+        ctx.fillText('1', this.valueToX(1), axisY + 8);
+
+        if (this.locked) {
+            ctx.textAlign = 'right';
+            ctx.fillText('somente leitura', width - 4, 4);
+            ctx.textAlign = 'center';
+        }
+
+        if (this.knots.length === 0) {
+            ctx.fillText('Adicione pontos suficientes para gerar o vetor de nós', width / 2, 10);
+            ctx.restore();
+            return;
+        }
+
+        // Domínio válido [u_p, u_n]
+        const n = this.knots.length - degree - 1;
+        const domainStart = this.valueToX(this.knots[degree]);
+        const domainEnd = this.valueToX(this.knots[n]);
+        ctx.fillStyle = 'rgba(76, 175, 80, 0.15)';
+        ctx.fillRect(domainStart, axisY - 4, domainEnd - domainStart, 8);
+
+        // Intervalo ativo e parâmetro da construção de De Boor
+        if (evaluation) {
+            const spanStart = this.valueToX(evaluation.spanRange[0]);
+            const spanEnd = this.valueToX(evaluation.spanRange[1]);
+            ctx.fillStyle = 'rgba(255, 193, 7, 0.5)';
+            ctx.fillRect(spanStart, axisY - 6, spanEnd - spanStart, 12);
+
+            const tX = this.valueToX(evaluation.t);
+            ctx.strokeStyle = '#e91e63';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(tX, 4);
+            ctx.lineTo(tX, axisY + 6);
+            ctx.stroke();
+            ctx.lineWidth = 1;
+        }
+
+        // Nós: repetições são empilhadas para mostrar a multiplicidade
+        let stack = 0;
+        this.knots.forEach((knot, index) => {
+            stack = (index > 0 && knot === this.knots[index - 1]) ? stack + 1 : 0;
+
+            const x = this.valueToX(knot);
+            const y = axisY - 10 - stack * 10;
+            const isSelected = index === this.selectedIndex;
+
+            if (stack === 0) {
+                ctx.strokeStyle = '#bbb';
+                ctx.beginPath();
+                ctx.moveTo(x, axisY - 6);
+                ctx.lineTo(x, axisY + 6);
+                ctx.stroke();
+            }
+
+            ctx.beginPath();
+            ctx.arc(x, y, isSelected ? 5 : 4, 0, 2 * Math.PI);
+            ctx.fillStyle = isSelected ? '#2196f3' : '#4caf50';
+            ctx.fill();
+            ctx.strokeStyle = isSelected ? '#1976d2' : '#388e3c';
+            ctx.stroke();
+
+            this.handles.push({ x, y, index });
+        });
+
+        // Valor do nó selecionado
+        if (this.selectedIndex >= 0) {
+            const knot = this.knots[this.selectedIndex];
+            ctx.fillStyle = '#1976d2';
+            ctx.fillText(`u${this.selectedIndex} = ${knot.toFixed(3)}`, this.valueToX(knot), axisY + 8);
+        }
+
+        ctx.restore();
+    }
+};
+
+// Exporta o módulo para uso global
+window.KnotEditor = KnotEditor;
@@ -18,11 +18,29 @@ const CurveMath = {
         };
 
         // Implementação do algoritmo de De Casteljau com pesos (NURBS)
-        let points = controlPoints.map(p => ({
-            x: p.x * p.weight,
-            y: p.y * p.weight,
-            weight: p.weight
-        }));
+        const levels = this.deCasteljauLevels(controlPoints, t);
+        const finalPoint = levels[levels.length - 1][0];
+
+        // Divisão homogênea para obter coordenadas cartesianas
+        if (finalPoint.w !== 0) {
+            return {
+                x: finalPoint.x / finalPoint.w,
+                y: finalPoint.y / finalPoint.w
+            };
+        }
+        
+        return { x: finalPoint.x, y: finalPoint.y };
+    },
+
+    /**
+     * Executa o De Casteljau guardando todos os níveis intermediários
+     * @param {Array} controlPoints - Array de pontos de controle {x, y, weight}
+     * @param {number} t - Parâmetro t entre 0 e 1
+     * @returns {Array} Níveis em coordenadas homogêneas {x, y, w}; o último tem um único ponto
+     */
+    deCasteljauLevels(controlPoints, t) {
+        let points = this.toHomogeneous(controlPoints);
+        const levels = [points];
 
         // Redução recursiva usando interpolação linear
         while (points.length > 1) {
@@ -34,22 +52,33 @@ const CurveMath = {
                 newPoints.push({
                     x: p1.x * (1 - t) + p2.x * t,
                     y: p1.y * (1 - t) + p2.y * t,
-                    weight: p1.weight * (1 - t) + p2.weight * t
+                    w: p1.w * (1 - t) + p2.w * t
                 });
             }
             points = newPoints;
+            levels.push(points);
         }
 
-        const finalPoint = points[0];
-        // Divisão homogênea para obter coordenadas cartesianas
-        if (finalPoint.weight !== 0) {
-            return {
-                x: finalPoint.x / finalPoint.weight,
-                y: finalPoint.y / finalPoint.weight
-            };
-        }
-        
-        return { x: finalPoint.x, y: finalPoint.y };
+        return levels;
+    },
+
+    /**
+     * Divide uma curva de Bézier em t usando os pontos intermediários do De Casteljau
+     * @param {Array} controlPoints - Array de pontos de controle {x, y, weight}
+     * @param {number} t - Parâmetro t entre 0 e 1
+     * @returns {Object} {left, right}: pontos de controle das duas sub-curvas racionais
+     */
+    subdivideBezier(controlPoints, t) {
+        const levels = this.deCasteljauLevels(controlPoints, t);
+
+        // Esquerda: primeiro ponto de cada nível; direita: último ponto de cada nível (invertido)
+        const left = levels.map(level => level[0]);
+        const right = levels.map(level => level[level.length - 1]).reverse();
+
+        return {
+            left: this.fromHomogeneous(left),
+            right: this.fromHomogeneous(right)
+        };
     },
 
     /**
@@ -70,6 +99,145 @@ const CurveMath = {
         return curve;
     },
 
+    /**
+     * Eleva o grau de uma curva de Bézier sem alterar sua forma
+     * @param {Array} controlPoints - Array de pontos de controle {x, y, weight}
+     * @returns {Array} Pontos de controle com um ponto a mais
+     */
+    elevateBezierDegree(controlPoints) {
+        const n = controlPoints.length - 1;
+        const points = this.toHomogeneous(controlPoints);
+        const elevated = [points[0]];
+
+        // Q_i = i/(n+1)·P_(i-1) + (1 - i/(n+1))·P_i, em coordenadas homogêneas
+        for (let i = 1; i <= n; i++) {
+            const alpha = i / (n + 1);
+            elevated.push({
+                x: alpha * points[i - 1].x + (1 - alpha) * points[i].x,
+                y: alpha * points[i - 1].y + (1 - alpha) * points[i].y,
+                w: alpha * points[i - 1].w + (1 - alpha) * points[i].w
+            });
+        }
+        elevated.push(points[n]);
+
+        return this.fromHomogeneous(elevated);
+    },
+
+    /**
+     * Reduz o grau de uma curva de Bézier pela melhor aproximação de mínimos
+     * quadrados (norma L2 contínua em [0, 1], no espaço homogêneo)
+     * @param {Array} controlPoints - Array de pontos de controle {x, y, weight}
+     * @returns {Object|null} {controlPoints, error} ou null se não for possível reduzir
+     */
+    reduceBezierDegree(controlPoints) {
+        const n = controlPoints.length - 1;
+        if (n < 2) return null;
+
+        const m = n - 1;
+        const points = this.toHomogeneous(controlPoints);
+
+        // Matriz de Gram G_ij = ∫ B_i,m · B_j,m e lado direito b_ik = ∫ B_i,m · B_k,n
+        const gram = [];
+        const mixed = [];
+        for (let i = 0; i <= m; i++) {
+            gram.push([]);
+            mixed.push([]);
+            for (let j = 0; j <= m; j++) {
+                gram[i].push(this.binomial(m, i) * this.binomial(m, j) /
+                    ((2 * m + 1) * this.binomial(2 * m, i + j)));
+            }
+            for (let k = 0; k <= n; k++) {
+                mixed[i].push(this.binomial(m, i) * this.binomial(n, k) /
+                    ((m + n + 1) * this.binomial(m + n, i + k)));
+            }
+        }
+
+        const solve = key => this.solveLinearSystem(
+            gram,
+            mixed.map(row => row.reduce((sum, value, k) => sum + value * points[k][key], 0))
+        );
+        const xs = solve('x');
+        const ys = solve('y');
+        const ws = solve('w');
+        if (!xs || !ys || !ws || ws.some(w => !(w > 0))) return null;
+
+        const reduced = xs.map((x, i) => ({ x: x / ws[i], y: ys[i] / ws[i], weight: ws[i] }));
+
+        // Erro máximo entre a curva original e a reduzida
+        const original = this.generateBezierCurve(controlPoints, 200);
+        const approximation = this.generateBezierCurve(reduced, 200);
+        const error = original.reduce((max, point, index) => {
+            return Math.max(max, this.distance(point, approximation[index]));
+        }, 0);
+
+        return { controlPoints: reduced, error };
+    },
+
+    /**
+     * Polinômio de Bernstein B_i,n(t)
+     * @param {number} i - Índice do polinômio
+     * @param {number} n - Grau
+     * @param {number} t - Parâmetro entre 0 e 1
+     * @returns {number} Valor de B_i,n(t)
+     */
+    bernstein(i, n, t) {
+        if (i < 0 || i > n) return 0;
+        return this.binomial(n, i) * Math.pow(t, i) * Math.pow(1 - t, n - i);
+    },
+
+    /**
+     * Coeficiente binomial C(n, k)
+     * @param {number} n - Total
+     * @param {number} k - Escolhidos
+     * @returns {number} C(n, k)
+     */
+    binomial(n, k) {
+        if (k < 0 || k > n) return 0;
+
+        let result = 1;
+        for (let i = 1; i <= Math.min(k, n - k); i++) {
+            result = result * (n - i + 1) / i;
+        }
+        return result;
+    },
+
+    /**
+     * Resolve um sistema linear A·x = b por eliminação de Gauss com pivoteamento parcial
+     * @param {Array} matrix - Matriz A (array de linhas)
+     * @param {Array} vector - Vetor b
+     * @returns {Array|null} Solução x ou null se o sistema for singular
+     */
+    solveLinearSystem(matrix, vector) {
+        const size = vector.length;
+        const a = matrix.map((row, i) => [...row, vector[i]]);
+
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < size; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            if (Math.abs(a[pivot][col]) < 1e-14) return null;
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+
+            for (let row = col + 1; row < size; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= size; k++) {
+                    a[row][k] -= factor * a[col][k];
+                }
+            }
+        }
+
+        const solution = new Array(size).fill(0);
+        for (let row = size - 1; row >= 0; row--) {
+            let sum = a[row][size];
+            for (let k = row + 1; k < size; k++) {
+                sum -= a[row][k] * solution[k];
+            }
+            solution[row] = sum / a[row][row];
+        }
+        return solution;
+    },
+
     /**
      * Calcula as funções base B-spline
      * @param {number} i - Índice da função base
@@ -100,6 +268,122 @@ const CurveMath = {
         return left + right;
     },
 
+    /**
+     * Calcula de uma vez as grau + 1 funções base não nulas em t
+     * (equivalente a basisFunction para N_(span-degree)..N_span, mas sem recursão
+     * e definido também no fim do domínio)
+     * @param {number} span - Intervalo de nós que contém t (ver findKnotSpan)
+     * @param {number} t - Parâmetro
+     * @param {number} degree - Grau da curva
+     * @param {Array} knots - Vetor de nós
+     * @returns {Array} Valores [N_(span-degree), ..., N_span]
+     */
+    basisFunctions(span, t, degree, knots) {
+        const values = [1];
+        const left = [];
+        const right = [];
+
+        for (let j = 1; j <= degree; j++) {
+            left[j] = t - knots[span + 1 - j];
+            right[j] = knots[span + j] - t;
+
+            let saved = 0;
+            for (let r = 0; r < j; r++) {
+                const denominator = right[r + 1] + left[j - r];
+                const temp = denominator === 0 ? 0 : values[r] / denominator;
+                values[r] = saved + right[r + 1] * temp;
+                saved = left[j - r] * temp;
+            }
+            values[j] = saved;
+        }
+
+        return values;
+    },
+
+    /**
+     * Funções base não nulas e suas derivadas em t (Piegl & Tiller, A2.3)
+     * @param {number} span - Intervalo de nós que contém t (ver findKnotSpan)
+     * @param {number} t - Parâmetro
+     * @param {number} degree - Grau da curva
+     * @param {Array} knots - Vetor de nós
+     * @param {number} order - Maior ordem de derivada desejada
+     * @returns {Array} derivatives[k][j] = k-ésima derivada de N_(span-degree+j); ordens acima do grau são zero
+     */
+    basisFunctionDerivatives(span, t, degree, knots, order) {
+        const p = degree;
+        const ndu = Array.from({ length: p + 1 }, () => new Array(p + 1).fill(0));
+        const left = [];
+        const right = [];
+        ndu[0][0] = 1;
+
+        // Triângulo das funções base (acima da diagonal) e diferenças de nós (abaixo)
+        for (let j = 1; j <= p; j++) {
+            left[j] = t - knots[span + 1 - j];
+            right[j] = knots[span + j] - t;
+
+            let saved = 0;
+            for (let r = 0; r < j; r++) {
+                ndu[j][r] = right[r + 1] + left[j - r];
+                const temp = ndu[j][r] === 0 ? 0 : ndu[r][j - 1] / ndu[j][r];
+                ndu[r][j] = saved + right[r + 1] * temp;
+                saved = left[j - r] * temp;
+            }
+            ndu[j][j] = saved;
+        }
+
+        const derivatives = Array.from({ length: order + 1 }, () => new Array(p + 1).fill(0));
+        for (let j = 0; j <= p; j++) {
+            derivatives[0][j] = ndu[j][p];
+        }
+
+        const maxOrder = Math.min(order, p);
+        const divide = (a, b) => b === 0 ? 0 : a / b;
+
+        for (let r = 0; r <= p; r++) {
+            const a = [new Array(p + 1).fill(0), new Array(p + 1).fill(0)];
+            let s1 = 0;
+            let s2 = 1;
+            a[0][0] = 1;
+
+            for (let k = 1; k <= maxOrder; k++) {
+                let d = 0;
+                const rk = r - k;
+                const pk = p - k;
+
+                if (r >= k) {
+                    a[s2][0] = divide(a[s1][0], ndu[pk + 1][rk]);
+                    d = a[s2][0] * ndu[rk][pk];
+                }
+
+                const j1 = rk >= -1 ? 1 : -rk;
+                const j2 = r - 1 <= pk ? k - 1 : p - r;
+                for (let j = j1; j <= j2; j++) {
+                    a[s2][j] = divide(a[s1][j] - a[s1][j - 1], ndu[pk + 1][rk + j]);
+                    d += a[s2][j] * ndu[rk + j][pk];
+                }
+
+                if (r <= pk) {
+                    a[s2][k] = divide(-a[s1][k - 1], ndu[pk + 1][r]);
+                    d += a[s2][k] * ndu[r][pk];
+                }
+
+                derivatives[k][r] = d;
+                [s1, s2] = [s2, s1];
+            }
+        }
+
+        // Fatores p!/(p-k)!
+        let factor = p;
+        for (let k = 1; k <= maxOrder; k++) {
+            for (let j = 0; j <= p; j++) {
+                derivatives[k][j] *= factor;
+            }
+            factor *= p - k;
+        }
+
+        return derivatives;
+    },
+
     /**
      * Gera vetor de nós uniformes
      * @param {number} n - Número de pontos de controle
@@ -130,123 +414,1953 @@ const CurveMath = {
     },
 
     /**
-     * Calcula um ponto na curva B-spline
-     * @param {Array} controlPoints - Pontos de controle
-     * @param {number} t - Parâmetro
+     * Gera um vetor de nós a partir de um preset
+     * @param {number} n - Número de pontos de controle
      * @param {number} degree - Grau da curva
-     * @param {Array} knots - Vetor de nós (opcional)
-     * @returns {Object} Ponto calculado {x, y}
+     * @param {string} type - Preset ('clamped', 'unclamped' ou 'uniform')
+     * @param {Array} baseKnots - Vetor atual, usado pelo preset 'unclamped' para manter os nós internos (opcional)
+     * @returns {Array} Vetor de nós normalizado em [0, 1]
      */
-    bSplinePoint(controlPoints, t, degree, knots = null) {
-        if (controlPoints.length === 0) return null;
+    generateKnotVector(n, degree, type = 'clamped', baseKnots = null) {
+        const knotCount = n + degree + 1;
 
-        const n = controlPoints.length;
-        if (n < degree + 1) return null;
+        if (type === 'uniform') {
+            // Todos os nós igualmente espaçados, sem multiplicidade nas pontas
+            const knots = [];
+            for (let i = 0; i < knotCount; i++) {
+                knots.push(i / (knotCount - 1));
+            }
+            return knots;
+        }
 
-        // Gera vetor de nós se não fornecido
-        if (!knots) {
-            knots = this.generateUniformKnots(n, degree);
+        if (type === 'unclamped') {
+            // Mantém os nós internos do vetor base e espalha os nós das pontas
+            const base = this.isValidKnotVector(baseKnots, n, degree)
+                ? baseKnots
+                : this.generateUniformKnots(n, degree);
+            const knots = base.slice();
+            const spans = n - degree;
+            const fallbackSpacing = (base[n] - base[degree]) / spans;
+            const startSpacing = (base[degree + 1] - base[degree]) || fallbackSpacing;
+            const endSpacing = (base[n] - base[n - 1]) || fallbackSpacing;
+
+            for (let i = degree - 1; i >= 0; i--) {
+                knots[i] = knots[i + 1] - startSpacing;
+            }
+            for (let i = n + 1; i < knotCount; i++) {
+                knots[i] = knots[i - 1] + endSpacing;
+            }
+
+            return this.normalizeKnots(knots);
         }
 
-        // Ajusta t para estar no domínio válido
-        const validRange = [knots[degree], knots[n]];
-        t = Math.max(validRange[0], Math.min(validRange[1], t));
+        return this.generateUniformKnots(n, degree);
+    },
+
+    /**
+     * Monta uma B-spline fechada (periódica): repete os primeiros grau pontos
+     * no final e usa nós uniformes, o que fecha a curva com continuidade C^(p-1)
+     * @param {Array} controlPoints - Pontos de controle distintos
+     * @param {number} degree - Grau da curva
+     * @returns {Object} {controlPoints, knots} prontos para avaliação
+     */
+    buildPeriodicBSpline(controlPoints, degree) {
+        const wrapped = controlPoints.concat(controlPoints.slice(0, degree));
+        const knots = this.generateKnotVector(wrapped.length, degree, 'uniform');
+
+        return { controlPoints: wrapped, knots };
+    },
+
+    /**
+     * Reescala um vetor de nós para o intervalo [0, 1]
+     * @param {Array} knots - Vetor de nós
+     * @returns {Array} Vetor de nós normalizado
+     */
+    normalizeKnots(knots) {
+        const first = knots[0];
+        const range = knots[knots.length - 1] - first;
+        if (range <= 0) return knots.slice();
+
+        return knots.map(knot => (knot - first) / range);
+    },
+
+    /**
+     * Verifica se um vetor de nós é compatível com a curva
+     * @param {Array} knots - Vetor de nós
+     * @param {number} n - Número de pontos de controle
+     * @param {number} degree - Grau da curva
+     * @returns {boolean} True se o vetor for válido
+     */
+    isValidKnotVector(knots, n, degree) {
+        if (!Array.isArray(knots) || knots.length !== n + degree + 1) return false;
+
+        let run = 0;
+        for (let i = 0; i < knots.length; i++) {
+            if (typeof knots[i] !== 'number' || !Number.isFinite(knots[i])) return false;
+            if (i > 0 && knots[i] < knots[i - 1]) return false;
+
+            // Nenhum nó pode se repetir mais que grau + 1 vezes
+            run = (i > 0 && knots[i] === knots[i - 1]) ? run + 1 : 1;
+            if (run > degree + 1) return false;
+        }
 
-        let x = 0, y = 0, weightSum = 0;
+        // O domínio [u_p, u_n] não pode ser degenerado
+        return knots[degree] < knots[n];
+    },
 
-        // Calcula o ponto usando as funções base
-        for (let i = 0; i < n; i++) {
-            const basis = this.basisFunction(i, degree + 1, t, knots);
-            const weight = controlPoints[i].weight || 1;
-            const totalWeight = basis * weight;
+    /**
+     * Conta quantas vezes um valor aparece no vetor de nós
+     * @param {Array} knots - Vetor de nós
+     * @param {number} value - Valor do nó
+     * @returns {number} Multiplicidade
+     */
+    knotMultiplicity(knots, value) {
+        return knots.filter(knot => knot === value).length;
+    },
 
-            x += controlPoints[i].x * totalWeight;
-            y += controlPoints[i].y * totalWeight;
-            weightSum += totalWeight;
+    /**
+     * Encontra o intervalo de nós [u_k, u_k+1) que contém t
+     * @param {number} n - Número de pontos de controle
+     * @param {number} degree - Grau da curva
+     * @param {number} t - Parâmetro
+     * @param {Array} knots - Vetor de nós
+     * @returns {number} Índice k do intervalo (degree <= k <= n - 1)
+     */
+    findKnotSpan(n, degree, t, knots) {
+        // Fim do domínio: usa o último intervalo não vazio
+        if (t >= knots[n]) {
+            let span = n - 1;
+            while (span > degree && knots[span] === knots[span + 1]) span--;
+            return span;
         }
+        if (t <= knots[degree]) return degree;
 
-        // Normalização para NURBS
-        if (weightSum !== 0) {
-            return { x: x / weightSum, y: y / weightSum };
+        // Busca binária
+        let low = degree;
+        let high = n;
+        let mid = Math.floor((low + high) / 2);
+        while (t < knots[mid] || t >= knots[mid + 1]) {
+            if (t < knots[mid]) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+            mid = Math.floor((low + high) / 2);
         }
+        return mid;
+    },
 
-        return { x, y };
+    /**
+     * Converte pontos {x, y, weight} para coordenadas homogêneas {x·w, y·w, w}
+     * @param {Array} controlPoints - Pontos de controle
+     * @returns {Array} Pontos homogêneos
+     */
+    toHomogeneous(controlPoints) {
+        return controlPoints.map(p => {
+            const weight = p.weight || 1;
+            return { x: p.x * weight, y: p.y * weight, w: weight };
+        });
     },
 
     /**
-     * Gera uma curva B-spline completa
+     * Converte pontos homogêneos de volta para {x, y, weight}
+     * @param {Array} points - Pontos homogêneos {x, y, w}
+     * @returns {Array} Pontos cartesianos com peso
+     */
+    fromHomogeneous(points) {
+        return points.map(p => ({ x: p.x / p.w, y: p.y / p.w, weight: p.w }));
+    },
+
+    /**
+     * Insere um nó na B-spline sem alterar a forma da curva (algoritmo de Boehm)
      * @param {Array} controlPoints - Pontos de controle
      * @param {number} degree - Grau da curva
-     * @param {number} steps - Número de pontos a gerar
-     * @param {Array} knots - Vetor de nós (opcional)
-     * @returns {Array} Array de pontos da curva
+     * @param {Array} knots - Vetor de nós
+     * @param {number} t - Valor do novo nó (dentro do domínio)
+     * @returns {Object|null} {controlPoints, knots} ou null se a inserção não for possível
      */
-    generateBSplineCurve(controlPoints, degree = 3, steps = 100, knots = null) {
-        if (controlPoints.length < degree + 1) return [];
-
+    insertKnot(controlPoints, degree, knots, t) {
         const n = controlPoints.length;
-        if (!knots) {
-            knots = this.generateUniformKnots(n, degree);
-        }
+        if (t <= knots[degree] || t >= knots[n]) return null;
 
-        const curve = [];
-        const validRange = [knots[degree], knots[n]];
-        
-        for (let i = 0; i <= steps; i++) {
-            const t = validRange[0] + (i / steps) * (validRange[1] - validRange[0]);
-            const point = this.bSplinePoint(controlPoints, t, degree, knots);
-            if (point) curve.push(point);
+        // Multiplicidade acima do grau quebraria a continuidade da curva
+        const multiplicity = this.knotMultiplicity(knots, t);
+        if (multiplicity >= degree) return null;
+
+        const span = this.findKnotSpan(n, degree, t, knots);
+        const homogeneous = this.toHomogeneous(controlPoints);
+        const inserted = [];
+
+        for (let i = 0; i <= n; i++) {
+            if (i <= span - degree) {
+                inserted.push(homogeneous[i]);
+            } else if (i > span - multiplicity) {
+                inserted.push(homogeneous[i - 1]);
+            } else {
+                const alpha = (t - knots[i]) / (knots[i + degree] - knots[i]);
+                const p1 = homogeneous[i - 1];
+                const p2 = homogeneous[i];
+                inserted.push({
+                    x: (1 - alpha) * p1.x + alpha * p2.x,
+                    y: (1 - alpha) * p1.y + alpha * p2.y,
+                    w: (1 - alpha) * p1.w + alpha * p2.w
+                });
+            }
         }
 
-        return curve;
+        const newKnots = knots.slice();
+        newKnots.splice(span + 1, 0, t);
+
+        // Pontos copiados mantêm o id original
+        const newPoints = this.fromHomogeneous(inserted).map((point, i) => {
+            const source = i <= span - degree ? controlPoints[i]
+                : i > span - multiplicity ? controlPoints[i - 1]
+                : null;
+            return source && source.id ? { ...point, id: source.id } : point;
+        });
+
+        return { controlPoints: newPoints, knots: newKnots };
     },
 
     /**
-     * Calcula a distância entre dois pontos
-     * @param {Object} p1 - Primeiro ponto {x, y}
-     * @param {Object} p2 - Segundo ponto {x, y}
-     * @returns {number} Distância euclidiana
+     * Tenta remover uma ocorrência de um nó interno (Piegl & Tiller, A5.8)
+     * @param {Array} controlPoints - Pontos de controle
+     * @param {number} degree - Grau da curva
+     * @param {Array} knots - Vetor de nós
+     * @param {number} value - Valor do nó a remover
+     * @param {number} tolerance - Desvio máximo aceito, em pixels
+     * @returns {Object} {removed, controlPoints, knots, error}
      */
-    distance(p1, p2) {
-        return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+    removeKnot(controlPoints, degree, knots, value, tolerance = 1) {
+        const n = controlPoints.length;
+        const failure = { removed: false, controlPoints, knots, error: Infinity };
+
+        if (value <= knots[degree] || value >= knots[n]) return failure;
+
+        const r = knots.lastIndexOf(value);
+        const s = this.knotMultiplicity(knots, value);
+        if (r < 0 || n - 1 < degree + 1) return failure;
+
+        const order = degree + 1;
+        const first = r - degree;
+        const last = r - s;
+        const offset = first - 1;
+        const points = this.toHomogeneous(controlPoints);
+
+        // Tolerância convertida para o espaço homogêneo
+        const minWeight = Math.min(...points.map(p => p.w));
+        const maxDistance = Math.max(...controlPoints.map(p => Math.hypot(p.x, p.y)));
+        const homogeneousTolerance = tolerance * minWeight / (1 + maxDistance);
+
+        const lerp = (a, b, alpha) => ({
+            x: alpha * a.x + (1 - alpha) * b.x,
+            y: alpha * a.y + (1 - alpha) * b.y,
+            w: alpha * a.w + (1 - alpha) * b.w
+        });
+        const homogeneousDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.w - b.w);
+
+        const temp = [];
+        temp[0] = points[offset];
+        temp[last + 1 - offset] = points[last + 1];
+
+        let i = first;
+        let j = last;
+        let ii = 1;
+        let jj = last - offset;
+
+        // Calcula os novos pontos pelos dois lados até se encontrarem
+        while (j - i > 0) {
+            const alphaI = (value - knots[i]) / (knots[i + order] - knots[i]);
+            const alphaJ = (value - knots[j]) / (knots[j + order] - knots[j]);
+            temp[ii] = {
+                x: (points[i].x - (1 - alphaI) * temp[ii - 1].x) / alphaI,
+                y: (points[i].y - (1 - alphaI) * temp[ii - 1].y) / alphaI,
+                w: (points[i].w - (1 - alphaI) * temp[ii - 1].w) / alphaI
+            };
+            temp[jj] = {
+                x: (points[j].x - alphaJ * temp[jj + 1].x) / (1 - alphaJ),
+                y: (points[j].y - alphaJ * temp[jj + 1].y) / (1 - alphaJ),
+                w: (points[j].w - alphaJ * temp[jj + 1].w) / (1 - alphaJ)
+            };
+            i++;
+            ii++;
+            j--;
+            jj--;
+        }
+
+        let deviation;
+        if (j - i < 0) {
+            deviation = homogeneousDistance(temp[ii - 1], temp[jj + 1]);
+        } else {
+            const alphaI = (value - knots[i]) / (knots[i + order] - knots[i]);
+            deviation = homogeneousDistance(points[i], lerp(temp[ii + 1], temp[ii - 1], alphaI));
+        }
+
+        if (deviation > homogeneousTolerance) return failure;
+
+        i = first;
+        j = last;
+        while (j - i > 0) {
+            points[i] = temp[i - offset];
+            points[j] = temp[j - offset];
+            i++;
+            j--;
+        }
+
+        // Remove o nó e o ponto de controle que ficou redundante
+        const removedIndex = Math.floor((2 * r - s - degree) / 2);
+        points.splice(removedIndex, 1);
+        const newKnots = knots.slice();
+        newKnots.splice(r, 1);
+
+        const newPoints = this.fromHomogeneous(points);
+        if (newPoints.some(p => !(p.weight > 0))) return failure;
+
+        // Mede o desvio real entre as curvas antes e depois da remoção
+        const before = this.generateBSplineCurve(controlPoints, degree, 200, knots);
+        const after = this.generateBSplineCurve(newPoints, degree, 200, newKnots);
+        const error = before.reduce((max, point, index) => {
+            return Math.max(max, this.distance(point, after[index]));
+        }, 0);
+
+        return { removed: true, controlPoints: newPoints, knots: newKnots, error };
     },
 
     /**
-     * Encontra o ponto de controle mais próximo a uma coordenada
-     * @param {Array} controlPoints - Array de pontos de controle
-     * @param {Object} targetPoint - Ponto alvo {x, y}
-     * @param {number} threshold - Distância máxima para considerar (default: 15)
-     * @returns {number} Índice do ponto encontrado ou -1
+     * Forma polar (blossom) de um trecho da B-spline: De Boor com um argumento por nível
+     * @param {Array} homogeneous - Pontos de controle homogêneos {x, y, w}
+     * @param {number} degree - Grau da curva
+     * @param {Array} knots - Vetor de nós
+     * @param {number} span - Intervalo de nós (não vazio) do trecho
+     * @param {Array} args - Os `degree` argumentos da forma polar
+     * @returns {Object} Ponto homogêneo {x, y, w}
      */
-    findNearestControlPoint(controlPoints, targetPoint, threshold = 15) {
-        let nearestIndex = -1;
-        let minDistance = threshold;
+    blossom(homogeneous, degree, knots, span, args) {
+        const points = homogeneous.slice(span - degree, span + 1).map(point => ({ ...point }));
 
-        for (let i = 0; i < controlPoints.length; i++) {
-            const distance = this.distance(controlPoints[i], targetPoint);
-            if (distance < minDistance) {
-                minDistance = distance;
-                nearestIndex = i;
+        for (let r = 1; r <= degree; r++) {
+            for (let j = degree; j >= r; j--) {
+                const k = span - degree + j;
+                const alpha = (args[r - 1] - knots[k]) / (knots[k + degree - r + 1] - knots[k]);
+                points[j] = {
+                    x: (1 - alpha) * points[j - 1].x + alpha * points[j].x,
+                    y: (1 - alpha) * points[j - 1].y + alpha * points[j].y,
+                    w: (1 - alpha) * points[j - 1].w + alpha * points[j].w
+                };
             }
         }
 
-        return nearestIndex;
+        return points[degree];
     },
 
     /**
-     * Valida se um conjunto de pontos pode formar uma curva válida
-     * @param {Array} controlPoints - Pontos de controle
-     * @param {string} curveType - Tipo de curva ('bezier' ou 'spline')
-     * @param {number} degree - Grau da curva (para splines)
-     * @returns {boolean} True se válido
+     * Decompõe uma B-spline em seus trechos de Bézier: o j-ésimo ponto do trecho
+     * [u_i, u_(i+1)] é a forma polar com (p − j) argumentos u_i e j argumentos u_(i+1)
+     * @param {Array} controlPoints - Pontos de controle {x, y, weight}
+     * @param {number} degree - Grau da curva
+     * @param {Array} knots - Vetor de nós (fixado ou não)
+     * @returns {Object} {segments, ranges}: pontos de cada Bézier e seu intervalo em t normalizado
      */
-    validateCurve(controlPoints, curveType, degree = 3) {
-        if (!controlPoints || controlPoints.length === 0) return false;
+    bSplineToBezier(controlPoints, degree, knots) {
+        const n = controlPoints.length;
+        const homogeneous = this.toHomogeneous(controlPoints);
+        const start = knots[degree];
+        const end = knots[n];
+        const segments = [];
+        const ranges = [];
+
+        for (let span = degree; span < n; span++) {
+            const a = knots[span];
+            const b = knots[span + 1];
+            if (b <= a) continue;
+
+            const points = [];
+            for (let j = 0; j <= degree; j++) {
+                const args = new Array(degree - j).fill(a).concat(new Array(j).fill(b));
+                points.push(this.blossom(homogeneous, degree, knots, span, args));
+            }
+
+            segments.push(this.fromHomogeneous(points));
+            ranges.push([(a - start) / (end - start), (b - start) / (end - start)]);
+        }
+
+        return { segments, ranges };
+    },
+
+    /**
+     * Converte uma cadeia de Béziers em uma única B-spline fixada com a mesma forma
+     *
+     * Todos os trechos são elevados ao maior grau e emendados com nós de multiplicidade p;
+     * onde as tangentes são colineares o intervalo do trecho seguinte é escolhido para que
+     * as derivadas coincidam, e os nós são removidos enquanto a curva não muda —
+     * a multiplicidade que sobra dá a continuidade real de cada junção.
+     * @param {Array} segments - Pontos de controle de cada Bézier, em ordem
+     * @param {number} tolerance - Desvio aceito na remoção de nós (px)
+     * @returns {Object|null} {controlPoints, knots, degree, continuity} ou null se a cadeia não é contínua
+     */
+    bezierChainToBSpline(segments, tolerance = 1e-3) {
+        if (segments.length === 0 || segments.some(segment => segment.length < 2)) return null;
+
+        const degree = Math.max(...segments.map(segment => segment.length - 1));
+        const chain = segments.map(segment => {
+            let points = segment.map(point => ({ x: point.x, y: point.y, weight: point.weight || 1 }));
+            while (points.length - 1 < degree) points = this.elevateBezierDegree(points);
+            return points;
+        });
+
+        for (let k = 1; k < chain.length; k++) {
+            const previous = chain[k - 1];
+            if (this.distance(previous[degree], chain[k][0]) > 1e-3) return null;
+
+            // Multiplicar todos os pesos por uma constante não muda a curva racional:
+            // o peso da junção passa a ser o mesmo nos dois trechos
+            const scale = previous[degree].weight / chain[k][0].weight;
+            chain[k] = chain[k].map(point => ({ ...point, weight: point.weight * scale }));
+        }
+
+        // Derivadas nas extremidades de uma Bézier racional
+        const endDerivative = (points) => {
+            const last = points[degree];
+            const before = points[degree - 1];
+            const factor = degree * before.weight / last.weight;
+            return { x: factor * (last.x - before.x), y: factor * (last.y - before.y) };
+        };
+        const startDerivative = (points) => {
+            const factor = degree * points[1].weight / points[0].weight;
+            return { x: factor * (points[1].x - points[0].x), y: factor * (points[1].y - points[0].y) };
+        };
+        const polygonLength = (points) => points.slice(1).reduce((sum, point, i) => sum + this.distance(point, points[i]), 0) || 1;
+
+        // Intervalo de cada trecho no parâmetro global
+        const intervals = [1];
+        for (let k = 1; k < chain.length; k++) {
+            const a = endDerivative(chain[k - 1]);
+            const b = startDerivative(chain[k]);
+            const lengthA = Math.hypot(a.x, a.y);
+            const lengthB = Math.hypot(b.x, b.y);
+            const collinear = lengthA > 1e-9 && lengthB > 1e-9 &&
+                Math.abs(a.x * b.y - a.y * b.x) < 1e-6 * lengthA * lengthB && a.x * b.x + a.y * b.y > 0;
+
+            intervals.push(collinear
+                ? intervals[k - 1] * lengthB / lengthA
+                : intervals[k - 1] * polygonLength(chain[k]) / polygonLength(chain[k - 1]));
+        }
+
+        const total = intervals.reduce((sum, h) => sum + h, 0);
+        const breakpoints = [];
+        let position = 0;
+        intervals.slice(0, -1).forEach(h => {
+            position += h;
+            breakpoints.push(position / total);
+        });
+
+        let knots = new Array(degree + 1).fill(0);
+        breakpoints.forEach(value => {
+            knots = knots.concat(new Array(degree).fill(value));
+        });
+        knots = knots.concat(new Array(degree + 1).fill(1));
+
+        let controlPoints = chain[0].slice();
+        chain.slice(1).forEach(points => {
+            controlPoints = controlPoints.concat(points.slice(1));
+        });
+
+        // Remove cada nó interno enquanto a forma se mantém
+        const continuity = breakpoints.map(value => {
+            let multiplicity = degree;
+            while (multiplicity > 0) {
+                const result = this.removeKnot(controlPoints, degree, knots, value, tolerance);
+                if (!result.removed) break;
+                controlPoints = result.controlPoints;
+                knots = result.knots;
+                multiplicity--;
+            }
+            return multiplicity === 0 ? Infinity : degree - multiplicity;
+        });
+
+        return { controlPoints, knots, degree, continuity };
+    },
+
+    /**
+     * Calcula um ponto na curva B-spline
+     * @param {Array} controlPoints - Pontos de controle
+     * @param {number} t - Parâmetro
+     * @param {number} degree - Grau da curva
+     * @param {Array} knots - Vetor de nós (opcional)
+     * @returns {Object} Ponto calculado {x, y}
+     */
+    bSplinePoint(controlPoints, t, degree, knots = null) {
+        if (controlPoints.length === 0) return null;
+
+        const n = controlPoints.length;
+        if (n < degree + 1) return null;
+
+        // Gera vetor de nós se não fornecido
+        if (!knots) {
+            knots = this.generateUniformKnots(n, degree);
+        }
+
+        // Ajusta t para estar no domínio válido
+        t = Math.max(knots[degree], Math.min(knots[n], t));
+
+        // Apenas os grau + 1 pontos do intervalo de t influenciam o resultado
+        const span = this.findKnotSpan(n, degree, t, knots);
+        const point = this.deBoor(controlPoints, degree, knots, span, t);
+
+        // Divisão homogênea (NURBS)
+        if (point.w !== 0) {
+            return { x: point.x / point.w, y: point.y / point.w };
+        }
+
+        return { x: point.x, y: point.y };
+    },
+
+    /**
+     * Algoritmo de De Boor em coordenadas homogêneas
+     * @param {Array} controlPoints - Pontos de controle
+     * @param {number} degree - Grau da curva
+     * @param {Array} knots - Vetor de nós
+     * @param {number} span - Intervalo de nós que contém t (ver findKnotSpan)
+     * @param {number} t - Parâmetro
+     * @returns {Object} Ponto homogêneo {x, y, w}
+     */
+    deBoor(controlPoints, degree, knots, span, t) {
+        const levels = this.deBoorLevels(controlPoints, degree, knots, span, t);
+        return levels[degree][0];
+    },
+
+    /**
+     * Executa o De Boor guardando todos os níveis intermediários
+     * @param {Array} controlPoints - Pontos de controle
+     * @param {number} degree - Grau da curva
+     * @param {Array} knots - Vetor de nós
+     * @param {number} span - Intervalo de nós que contém t (ver findKnotSpan)
+     * @param {number} t - Parâmetro
+     * @returns {Array} Níveis em coordenadas homogêneas {x, y, w}; o nível 0 tem grau + 1 pontos
+     */
+    deBoorLevels(controlPoints, degree, knots, span, t) {
+        const first = [];
+        for (let j = 0; j <= degree; j++) {
+            const p = controlPoints[span - degree + j];
+            const weight = p.weight || 1;
+            first.push({ x: p.x * weight, y: p.y * weight, w: weight });
+        }
+
+        const levels = [first];
+        for (let r = 1; r <= degree; r++) {
+            const previous = levels[r - 1];
+            const level = [];
+            for (let j = r; j <= degree; j++) {
+                const i = span - degree + j;
+                const denominator = knots[i + degree - r + 1] - knots[i];
+                const alpha = denominator === 0 ? 0 : (t - knots[i]) / denominator;
+                const p1 = previous[j - r];
+                const p2 = previous[j - r + 1];
+                level.push({
+                    x: (1 - alpha) * p1.x + alpha * p2.x,
+                    y: (1 - alpha) * p1.y + alpha * p2.y,
+                    w: (1 - alpha) * p1.w + alpha * p2.w
+                });
+            }
+            levels.push(level);
+        }
+
+        return levels;
+    },
+
+    /**
+     * Avaliação passo a passo da B-spline, para visualização do De Boor
+     * @param {Array} controlPoints - Pontos de controle
+     * @param {number} degree - Grau da curva
+     * @param {Array} knots - Vetor de nós
+     * @param {number} t - Parâmetro (dentro do domínio [u_p, u_n])
+     * @returns {Object} {t, span, spanRange, influencingIndices, levels, point}
+     */
+    deBoorSteps(controlPoints, degree, knots, t) {
+        const n = controlPoints.length;
+        t = Math.max(knots[degree], Math.min(knots[n], t));
+
+        const span = this.findKnotSpan(n, degree, t, knots);
+        const levels = this.deBoorLevels(controlPoints, degree, knots, span, t)
+            .map(level => this.fromHomogeneous(level));
+
+        const influencingIndices = [];
+        for (let i = span - degree; i <= span; i++) {
+            influencingIndices.push(i);
+        }
+
+        return {
+            t,
+            span,
+            spanRange: [knots[span], knots[span + 1]],
+            influencingIndices,
+            levels,
+            point: levels[degree][0]
+        };
+    },
+
+    /**
+     * Gera uma curva B-spline completa
+     * @param {Array} controlPoints - Pontos de controle
+     * @param {number} degree - Grau da curva
+     * @param {number} steps - Número de pontos a gerar
+     * @param {Array} knots - Vetor de nós (opcional)
+     * @returns {Array} Array de pontos da curva
+     */
+    generateBSplineCurve(controlPoints, degree = 3, steps = 100, knots = null) {
+        if (controlPoints.length < degree + 1) return [];
+
+        const n = controlPoints.length;
+        if (!knots) {
+            knots = this.generateUniformKnots(n, degree);
+        }
+
+        const curve = [];
+        const validRange = [knots[degree], knots[n]];
+        
+        for (let i = 0; i <= steps; i++) {
+            const t = validRange[0] + (i / steps) * (validRange[1] - validRange[0]);
+            const point = this.bSplinePoint(controlPoints, t, degree, knots);
+            if (point) curve.push(point);
+        }
+
+        return curve;
+    },
+
+    /**
+     * Interpolação global: encontra a B-spline (não racional) de grau p que passa
+     * por todos os pontos dados, com parâmetros por distância e nós por média
+     * @param {Array} dataPoints - Pontos por onde a curva deve passar
+     * @param {number} degree - Grau desejado (limitado a número de pontos - 1)
+     * @param {string} parameterization - 'chordal', 'centripetal' ou 'uniform'
+     * @returns {Object|null} {controlPoints, knots, degree, parameters} ou null se o sistema for singular
+     */
+    interpolateBSpline(dataPoints, degree, parameterization = 'chordal') {
+        const m = dataPoints.length;
+        if (m < 2) return null;
+
+        const p = Math.max(1, Math.min(degree, m - 1));
+        const alpha = parameterization in this.parameterizationAlphas
+            ? this.parameterizationAlphas[parameterization]
+            : 1;
+
+        // Parâmetros ū_k proporcionais à distância^α acumulada
+        const intervals = [];
+        for (let k = 1; k < m; k++) {
+            intervals.push(Math.pow(this.distance(dataPoints[k - 1], dataPoints[k]), alpha));
+        }
+        const total = intervals.reduce((sum, interval) => sum + interval, 0);
+        const parameters = [0];
+        for (let k = 1; k < m; k++) {
+            parameters.push(total > 0 ? parameters[k - 1] + intervals[k - 1] / total : k / (m - 1));
+        }
+        parameters[m - 1] = 1;
+
+        // Nós fixados nas extremidades e internos pela média de p parâmetros
+        const knots = [];
+        for (let i = 0; i <= p; i++) knots.push(0);
+        for (let j = 1; j < m - p; j++) {
+            let sum = 0;
+            for (let i = j; i < j + p; i++) sum += parameters[i];
+            knots.push(sum / p);
+        }
+        for (let i = 0; i <= p; i++) knots.push(1);
+
+        // Sistema N·P = Q com N[k][i] = N_i,p(ū_k)
+        const matrix = parameters.map(u => {
+            const row = new Array(m).fill(0);
+            const span = this.findKnotSpan(m, p, u, knots);
+            this.basisFunctions(span, u, p, knots).forEach((value, j) => {
+                row[span - p + j] = value;
+            });
+            return row;
+        });
+
+        const xs = this.solveLinearSystem(matrix, dataPoints.map(point => point.x));
+        const ys = this.solveLinearSystem(matrix, dataPoints.map(point => point.y));
+        if (!xs || !ys) return null;
+
+        return {
+            controlPoints: xs.map((x, i) => ({ x, y: ys[i], weight: 1 })),
+            knots,
+            degree: p,
+            parameters
+        };
+    },
+
+    /**
+     * Parâmetros por comprimento de corda normalizados em [0, 1]
+     * @param {Array} points - Pontos {x, y}
+     * @returns {Array} Um parâmetro por ponto
+     */
+    chordLengthParameters(points) {
+        const parameters = [0];
+        for (let i = 1; i < points.length; i++) {
+            parameters.push(parameters[i - 1] + this.distance(points[i - 1], points[i]));
+        }
+
+        const total = parameters[parameters.length - 1];
+        return parameters.map((value, i) => total > 0 ? value / total : i / Math.max(1, points.length - 1));
+    },
+
+    /**
+     * Ajusta um caminho de Béziers cúbicas a um traço (algoritmo de Schneider):
+     * mínimos quadrados com tangentes fixas nas pontas, reparametrização por
+     * Newton e divisão no ponto de maior erro até respeitar a tolerância
+     * @param {Array} points - Pontos do traço {x, y}
+     * @param {number} tolerance - Distância máxima permitida (pixels)
+     * @returns {Object} {segments, error}: segmentos com 4 pontos {x, y, weight} e maior erro
+     */
+    fitBezierPath(points, tolerance = 4) {
+        if (points.length < 2) return { segments: [], error: 0 };
+
+        const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+        const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y });
+        const scale = (a, s) => ({ x: a.x * s, y: a.y * s });
+        const dot = (a, b) => a.x * b.x + a.y * b.y;
+        const normalize = (a) => {
+            const length = Math.hypot(a.x, a.y);
+            return length > 0 ? scale(a, 1 / length) : { x: 0, y: 0 };
+        };
+        const cubic = (bezier, t) => {
+            const s = 1 - t;
+            return {
+                x: s * s * s * bezier[0].x + 3 * s * s * t * bezier[1].x + 3 * s * t * t * bezier[2].x + t * t * t * bezier[3].x,
+                y: s * s * s * bezier[0].y + 3 * s * s * t * bezier[1].y + 3 * s * t * t * bezier[2].y + t * t * t * bezier[3].y
+            };
+        };
+
+        // Bézier de mínimos quadrados com pontas fixas e tangentes dadas
+        const generateBezier = (first, last, parameters, tangent1, tangent2) => {
+            const start = points[first];
+            const end = points[last];
+            let c00 = 0, c01 = 0, c11 = 0, x0 = 0, x1 = 0;
+
+            parameters.forEach((t, i) => {
+                const s = 1 - t;
+                const a1 = scale(tangent1, 3 * s * s * t);
+                const a2 = scale(tangent2, 3 * s * t * t);
+                const base = add(scale(start, s * s * s + 3 * s * s * t), scale(end, 3 * s * t * t + t * t * t));
+                const residual = sub(points[first + i], base);
+
+                c00 += dot(a1, a1);
+                c01 += dot(a1, a2);
+                c11 += dot(a2, a2);
+                x0 += dot(a1, residual);
+                x1 += dot(a2, residual);
+            });
+
+            const determinant = c00 * c11 - c01 * c01;
+            let alpha1 = determinant !== 0 ? (x0 * c11 - x1 * c01) / determinant : 0;
+            let alpha2 = determinant !== 0 ? (c00 * x1 - c01 * x0) / determinant : 0;
+
+            // Solução degenerada: usa a heurística de um terço da corda
+            const chord = this.distance(start, end);
+            if (alpha1 < chord * 1e-6 || alpha2 < chord * 1e-6) {
+                alpha1 = alpha2 = chord / 3;
+            }
+
+            return [start, add(start, scale(tangent1, alpha1)), add(end, scale(tangent2, alpha2)), end];
+        };
+
+        const maxError = (first, last, bezier, parameters) => {
+            let error = 0;
+            let split = Math.floor((first + last) / 2);
+            parameters.forEach((t, i) => {
+                const distance = this.distance(cubic(bezier, t), points[first + i]);
+                if (distance >= error) {
+                    error = distance;
+                    split = first + i;
+                }
+            });
+            return { error, split: Math.max(first + 1, Math.min(last - 1, split)) };
+        };
+
+        // Um passo de Newton aproxima cada parâmetro do ponto mais próximo da curva
+        const reparameterize = (first, bezier, parameters) => {
+            const d1 = [0, 1, 2].map(i => scale(sub(bezier[i + 1], bezier[i]), 3));
+            const d2 = [0, 1].map(i => scale(sub(d1[i + 1], d1[i]), 2));
+
+            return parameters.map((t, i) => {
+                const s = 1 - t;
+                const point = cubic(bezier, t);
+                const first1 = add(add(scale(d1[0], s * s), scale(d1[1], 2 * s * t)), scale(d1[2], t * t));
+                const second = add(scale(d2[0], s), scale(d2[1], t));
+                const difference = sub(point, points[first + i]);
+                const denominator = dot(first1, first1) + dot(difference, second);
+                const next = denominator !== 0 ? t - dot(difference, first1) / denominator : t;
+                return Math.max(0, Math.min(1, next));
+            });
+        };
+
+        const segments = [];
+        let worstError = 0;
+
+        const fitCubic = (first, last, tangent1, tangent2) => {
+            if (last - first === 1) {
+                const third = this.distance(points[first], points[last]) / 3;
+                segments.push([
+                    points[first],
+                    add(points[first], scale(tangent1, third)),
+                    add(points[last], scale(tangent2, third)),
+                    points[last]
+                ]);
+                return;
+            }
+
+            let parameters = this.chordLengthParameters(points.slice(first, last + 1));
+            let bezier = generateBezier(first, last, parameters, tangent1, tangent2);
+            let result = maxError(first, last, bezier, parameters);
+
+            // Erro moderado: tenta melhorar os parâmetros antes de dividir
+            for (let iteration = 0; result.error > tolerance && result.error < tolerance * 4 && iteration < 4; iteration++) {
+                parameters = reparameterize(first, bezier, parameters);
+                bezier = generateBezier(first, last, parameters, tangent1, tangent2);
+                result = maxError(first, last, bezier, parameters);
+            }
+
+            if (result.error <= tolerance) {
+                segments.push(bezier);
+                worstError = Math.max(worstError, result.error);
+                return;
+            }
+
+            // Divide no ponto de maior erro com tangente central comum (continuidade G1)
+            const split = result.split;
+            let center = normalize(sub(points[split - 1], points[split + 1]));
+            if (center.x === 0 && center.y === 0) {
+                center = normalize(sub(points[split - 1], points[split]));
+            }
+            fitCubic(first, split, tangent1, center);
+            fitCubic(split, last, scale(center, -1), tangent2);
+        };
+
+        const last = points.length - 1;
+        fitCubic(
+            0,
+            last,
+            normalize(sub(points[1], points[0])),
+            normalize(sub(points[last - 1], points[last]))
+        );
+
+        return {
+            segments: segments.map(segment => segment.map(point => ({ x: point.x, y: point.y, weight: 1 }))),
+            error: worstError
+        };
+    },
+
+    /**
+     * Ajuste de B-spline por mínimos quadrados com pontas fixas (Piegl & Tiller, A9.7)
+     * @param {Array} points - Pontos a aproximar {x, y}
+     * @param {number} degree - Grau da curva
+     * @param {number} controlPointCount - Número de pontos de controle (grau + 1 até número de pontos)
+     * @returns {Object|null} {controlPoints, knots, degree, error} ou null se o sistema for singular
+     */
+    fitBSpline(points, degree, controlPointCount) {
+        const m = points.length - 1;
+        const n = controlPointCount - 1;
+        const p = Math.max(1, Math.min(degree, n));
+        if (m < 1 || n < 1 || n > m) return null;
+
+        const parameters = this.chordLengthParameters(points);
+
+        // Nós internos pela técnica de média que garante um parâmetro em cada intervalo
+        const knots = [];
+        for (let i = 0; i <= p; i++) knots.push(0);
+        const d = (m + 1) / (n - p + 1);
+        for (let j = 1; j <= n - p; j++) {
+            const i = Math.floor(j * d);
+            const alpha = j * d - i;
+            knots.push((1 - alpha) * parameters[i - 1] + alpha * parameters[i]);
+        }
+        for (let i = 0; i <= p; i++) knots.push(1);
+
+        const basisRow = (u) => {
+            const row = new Array(n + 1).fill(0);
+            const span = this.findKnotSpan(n + 1, p, u, knots);
+            this.basisFunctions(span, u, p, knots).forEach((value, j) => {
+                row[span - p + j] = value;
+            });
+            return row;
+        };
+
+        const first = points[0];
+        const last = points[m];
+        const controlPoints = [{ x: first.x, y: first.y, weight: 1 }];
+
+        // Equações normais (NᵀN)·P = Nᵀ·R só para os pontos internos
+        if (n > 1) {
+            const rows = parameters.slice(1, m).map(basisRow);
+            const size = n - 1;
+            const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+            const rx = new Array(size).fill(0);
+            const ry = new Array(size).fill(0);
+
+            rows.forEach((row, k) => {
+                const point = points[k + 1];
+                const residual = {
+                    x: point.x - row[0] * first.x - row[n] * last.x,
+                    y: point.y - row[0] * first.y - row[n] * last.y
+                };
+                for (let i = 1; i < n; i++) {
+                    rx[i - 1] += row[i] * residual.x;
+                    ry[i - 1] += row[i] * residual.y;
+                    for (let j = 1; j < n; j++) {
+                        matrix[i - 1][j - 1] += row[i] * row[j];
+                    }
+                }
+            });
+
+            const xs = this.solveLinearSystem(matrix, rx);
+            const ys = this.solveLinearSystem(matrix, ry);
+            if (!xs || !ys) return null;
+
+            xs.forEach((x, i) => controlPoints.push({ x, y: ys[i], weight: 1 }));
+        }
+
+        controlPoints.push({ x: last.x, y: last.y, weight: 1 });
+
+        let error = 0;
+        parameters.forEach((u, k) => {
+            const point = this.bSplinePoint(controlPoints, u, p, knots);
+            error = Math.max(error, this.distance(point, points[k]));
+        });
+
+        return { controlPoints, knots, degree: p, error };
+    },
+
+    /**
+     * Ajusta uma B-spline com o menor número de pontos de controle que respeita a tolerância
+     * @param {Array} points - Pontos a aproximar {x, y}
+     * @param {number} degree - Grau da curva
+     * @param {number} tolerance - Distância máxima permitida (pixels)
+     * @param {number} maxControlPoints - Limite de pontos de controle
+     * @returns {Object|null} Melhor resultado de fitBSpline (o último tentado se nenhum atingir a tolerância)
+     */
+    fitBSplineToTolerance(points, degree, tolerance = 4, maxControlPoints = 40) {
+        const limit = Math.min(points.length, maxControlPoints);
+        let best = null;
+
+        for (let count = Math.min(degree + 1, limit); count <= limit; count++) {
+            const result = this.fitBSpline(points, degree, count);
+            if (!result) continue;
+
+            best = result;
+            if (result.error <= tolerance) break;
+        }
+
+        return best;
+    },
+
+    // Expoente α das parametrizações por distância (intervalo = distância^α)
+    parameterizationAlphas: {
+        uniform: 0,
+        centripetal: 0.5,
+        chordal: 1
+    },
+
+    /**
+     * Converte uma spline de Kochanek–Bartels (Catmull-Rom com tensão, viés e
+     * continuidade) em segmentos cúbicos de Bézier, um por par de pontos vizinhos.
+     * As extremidades usam pontos fantasmas refletidos (P₋₁ = 2P₀ − P₁)
+     * @param {Array} controlPoints - Pontos por onde a curva passa
+     * @param {Object} options - {parameterization, tension, bias, continuity}
+     * @returns {Array} Segmentos, cada um com 4 pontos de controle {x, y, weight}
+     */
+    catmullRomBezierSegments(controlPoints, options = {}) {
+        const n = controlPoints.length;
+        if (n < 2) return [];
+
+        const alpha = options.parameterization in this.parameterizationAlphas
+            ? this.parameterizationAlphas[options.parameterization]
+            : 0.5;
+        const tension = options.tension || 0;
+        const bias = options.bias || 0;
+        const continuity = options.continuity || 0;
+
+        const reflect = (a, b) => ({ x: 2 * a.x - b.x, y: 2 * a.y - b.y });
+        const points = [
+            reflect(controlPoints[0], controlPoints[1]),
+            ...controlPoints,
+            reflect(controlPoints[n - 1], controlPoints[n - 2])
+        ];
+
+        // Intervalos de parâmetro entre pontos vizinhos (pontos repetidos viram intervalo 1)
+        const intervals = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const interval = Math.pow(this.distance(points[i], points[i + 1]), alpha);
+            intervals.push(interval > 1e-9 ? interval : 1);
+        }
+
+        // Tangente em P_i (índice em points) como combinação das diferenças divididas
+        // vizinhas; sem tensão, viés e continuidade é a tangente de Catmull-Rom
+        const tangent = (i, outgoing) => {
+            const dt0 = intervals[i - 1];
+            const dt1 = intervals[i];
+            const before = {
+                x: (points[i].x - points[i - 1].x) / dt0,
+                y: (points[i].y - points[i - 1].y) / dt0
+            };
+            const after = {
+                x: (points[i + 1].x - points[i].x) / dt1,
+                y: (points[i + 1].y - points[i].y) / dt1
+            };
+            const c = outgoing ? -continuity : continuity;
+            const a = (1 - tension) * (1 + bias) * (1 + c) * dt1 / (dt0 + dt1);
+            const b = (1 - tension) * (1 - bias) * (1 - c) * dt0 / (dt0 + dt1);
+
+            return { x: a * before.x + b * after.x, y: a * before.y + b * after.y };
+        };
+
+        // Cada trecho de Hermite (P_i, m_i, P_i+1, m_i+1) vira Bézier com P_i ± m·Δt/3
+        const segments = [];
+        for (let i = 1; i < points.length - 2; i++) {
+            const dt = intervals[i];
+            const start = points[i];
+            const end = points[i + 1];
+            const m0 = tangent(i, true);
+            const m1 = tangent(i + 1, false);
+
+            segments.push([
+                { x: start.x, y: start.y, weight: 1 },
+                { x: start.x + m0.x * dt / 3, y: start.y + m0.y * dt / 3, weight: 1 },
+                { x: end.x - m1.x * dt / 3, y: end.y - m1.y * dt / 3, weight: 1 },
+                { x: end.x, y: end.y, weight: 1 }
+            ]);
+        }
+
+        return segments;
+    },
+
+    /**
+     * Gera uma spline de Catmull-Rom / Kochanek–Bartels que passa por todos os pontos
+     * @param {Array} controlPoints - Pontos por onde a curva passa
+     * @param {number} stepsPerSegment - Pontos gerados por trecho
+     * @param {Object} options - {parameterization, tension, bias, continuity}
+     * @returns {Array} Array de pontos da curva
+     */
+    generateCatmullRomCurve(controlPoints, stepsPerSegment = 20, options = {}) {
+        const segments = this.catmullRomBezierSegments(controlPoints, options);
+        const curve = [];
+
+        segments.forEach((segment, index) => {
+            // O primeiro ponto de cada trecho repete o último do anterior
+            for (let i = index === 0 ? 0 : 1; i <= stepsPerSegment; i++) {
+                curve.push(this.deCasteljauBezier(segment, i / stepsPerSegment));
+            }
+        });
+
+        return curve;
+    },
+
+    /**
+     * Avalia qualquer curva da aplicação num parâmetro normalizado t ∈ [0, 1]
+     * @param {Object} curve - Definição {type: 'bezier'|'spline'|'path', controlPoints, degree, knots, segments}
+     * @param {number} t - Parâmetro entre 0 e 1 (na spline é mapeado para [u_p, u_n])
+     * @returns {Object} Ponto {x, y}
+     */
+    evaluateCurve(curve, t) {
+        if (curve.type === 'spline') {
+            const n = curve.controlPoints.length;
+            const start = curve.knots[curve.degree];
+            const end = curve.knots[n];
+            return this.bSplinePoint(curve.controlPoints, start + t * (end - start), curve.degree, curve.knots);
+        }
+
+        if (curve.type === 'path') {
+            // Caminho de Béziers: cada trecho ocupa uma fração igual de [0, 1]
+            const count = curve.segments.length;
+            const scaled = Math.max(0, Math.min(1, t)) * count;
+            const index = Math.min(count - 1, Math.floor(scaled));
+            return this.deCasteljauBezier(curve.segments[index], scaled - index);
+        }
+
+        return this.deCasteljauBezier(curve.controlPoints, t);
+    },
+
+    /**
+     * Parâmetros normalizados onde a curva muda de trecho polinomial
+     * @param {Object} curve - Definição da curva (ver evaluateCurve)
+     * @returns {Array} Parâmetros ordenados de 0 a 1
+     */
+    curveBreakpoints(curve) {
+        if (curve.type === 'spline') {
+            const n = curve.controlPoints.length;
+            const start = curve.knots[curve.degree];
+            const end = curve.knots[n];
+            const breakpoints = [0];
+            for (let i = curve.degree + 1; i < n; i++) {
+                const value = (curve.knots[i] - start) / (end - start);
+                if (value > breakpoints[breakpoints.length - 1]) breakpoints.push(value);
+            }
+            if (breakpoints[breakpoints.length - 1] < 1) breakpoints.push(1);
+            return breakpoints;
+        }
+
+        if (curve.type === 'path') {
+            return curve.segments.map((segment, i) => i / curve.segments.length).concat(1);
+        }
+
+        return [0, 1];
+    },
+
+    /**
+     * Converte derivadas homogêneas A, A', A'' (com w, w', w'') nas derivadas
+     * cartesianas de C = A / w pela regra do quociente
+     * @param {Array} homogeneous - [A, A', A''] como {x, y, w}
+     * @returns {Object} {point, first, second}
+     */
+    rationalDerivatives(homogeneous) {
+        const [a0, a1, a2] = homogeneous;
+        const point = { x: a0.x / a0.w, y: a0.y / a0.w };
+        const first = {
+            x: (a1.x - a1.w * point.x) / a0.w,
+            y: (a1.y - a1.w * point.y) / a0.w
+        };
+        const second = {
+            x: (a2.x - 2 * a1.w * first.x - a2.w * point.x) / a0.w,
+            y: (a2.y - 2 * a1.w * first.y - a2.w * point.y) / a0.w
+        };
+
+        return { point, first, second };
+    },
+
+    /**
+     * Ponto, primeira e segunda derivadas exatas de uma Bézier racional
+     * (hodógrafos dos pontos homogêneos)
+     * @param {Array} controlPoints - Pontos de controle {x, y, weight}
+     * @param {number} t - Parâmetro entre 0 e 1
+     * @returns {Object} {point, first, second}
+     */
+    bezierDerivatives(controlPoints, t) {
+        const n = controlPoints.length - 1;
+        const homogeneous = this.toHomogeneous(controlPoints);
+        const combine = (points, degree, scale) => {
+            const sum = { x: 0, y: 0, w: 0 };
+            points.forEach((point, i) => {
+                const b = this.bernstein(i, degree, t) * scale;
+                sum.x += point.x * b;
+                sum.y += point.y * b;
+                sum.w += point.w * b;
+            });
+            return sum;
+        };
+        const differences = (points) => points.slice(1).map((point, i) => ({
+            x: point.x - points[i].x,
+            y: point.y - points[i].y,
+            w: point.w - points[i].w
+        }));
+
+        const first = differences(homogeneous);
+        const second = differences(first);
+
+        return this.rationalDerivatives([
+            combine(homogeneous, n, 1),
+            n >= 1 ? combine(first, n - 1, n) : { x: 0, y: 0, w: 0 },
+            n >= 2 ? combine(second, n - 2, n * (n - 1)) : { x: 0, y: 0, w: 0 }
+        ]);
+    },
+
+    /**
+     * Ponto, primeira e segunda derivadas exatas de uma B-spline racional em u
+     * @param {Array} controlPoints - Pontos de controle {x, y, weight}
+     * @param {number} degree - Grau da curva
+     * @param {Array} knots - Vetor de nós
+     * @param {number} u - Parâmetro no domínio [u_p, u_n]
+     * @returns {Object} {point, first, second}
+     */
+    bSplineDerivatives(controlPoints, degree, knots, u) {
+        const n = controlPoints.length;
+        const t = Math.max(knots[degree], Math.min(knots[n], u));
+        const span = this.findKnotSpan(n, degree, t, knots);
+        const derivatives = this.basisFunctionDerivatives(span, t, degree, knots, 2);
+        const homogeneous = this.toHomogeneous(controlPoints.slice(span - degree, span + 1));
+
+        return this.rationalDerivatives(derivatives.map(row => {
+            const sum = { x: 0, y: 0, w: 0 };
+            row.forEach((value, j) => {
+                sum.x += homogeneous[j].x * value;
+                sum.y += homogeneous[j].y * value;
+                sum.w += homogeneous[j].w * value;
+            });
+            return sum;
+        }));
+    },
+
+    /**
+     * Ponto, primeira e segunda derivadas em relação ao parâmetro normalizado t ∈ [0, 1]
+     * @param {Object} curve - Definição da curva (ver evaluateCurve)
+     * @param {number} t - Parâmetro entre 0 e 1
+     * @returns {Object} {point, first, second}
+     */
+    curveDerivatives(curve, t) {
+        let result;
+        let scale = 1;
+
+        if (curve.type === 'spline') {
+            const n = curve.controlPoints.length;
+            const start = curve.knots[curve.degree];
+            const end = curve.knots[n];
+            scale = end - start;
+            result = this.bSplineDerivatives(curve.controlPoints, curve.degree, curve.knots, start + t * scale);
+        } else if (curve.type === 'path') {
+            const count = curve.segments.length;
+            const scaled = Math.max(0, Math.min(1, t)) * count;
+            const index = Math.min(count - 1, Math.floor(scaled));
+            scale = count;
+            result = this.bezierDerivatives(curve.segments[index], scaled - index);
+        } else {
+            result = this.bezierDerivatives(curve.controlPoints, t);
+        }
+
+        // Regra da cadeia para a mudança de variável
+        return {
+            point: result.point,
+            first: { x: result.first.x * scale, y: result.first.y * scale },
+            second: { x: result.second.x * scale * scale, y: result.second.y * scale * scale }
+        };
+    },
+
+    /**
+     * Primeira derivada em relação ao parâmetro normalizado
+     * @param {Object} curve - Definição da curva (ver evaluateCurve)
+     * @param {number} t - Parâmetro entre 0 e 1
+     * @returns {Object} Vetor {x, y}
+     */
+    curveDerivative(curve, t) {
+        return this.curveDerivatives(curve, t).first;
+    },
+
+    /**
+     * Curvatura com sinal κ = (x'y'' − y'x'') / |C'|³
+     * @param {Object} derivatives - Resultado de curveDerivatives
+     * @returns {number} Curvatura (0 onde a velocidade se anula)
+     */
+    curvature(derivatives) {
+        const { first, second } = derivatives;
+        const speed = Math.hypot(first.x, first.y);
+        if (speed < 1e-9) return 0;
+
+        return (first.x * second.y - first.y * second.x) / (speed * speed * speed);
+    },
+
+    /**
+     * Encontra pontos de inflexão (troca de sinal da curvatura)
+     * @param {Object} curve - Definição da curva (ver evaluateCurve)
+     * @param {number} samples - Número de intervalos verificados
+     * @returns {Array} Parâmetros t das inflexões
+     */
+    findInflections(curve, samples = 200) {
+        // Curvaturas desprezíveis (trechos retos) não contam como troca de sinal
+        const sign = (t) => {
+            const curvature = this.curvature(this.curveDerivatives(curve, t));
+            return Math.abs(curvature) < 1e-7 ? 0 : Math.sign(curvature);
+        };
+
+        const inflections = [];
+        let previousT = 0;
+        let previousSign = sign(0);
+
+        for (let i = 1; i <= samples; i++) {
+            const t = i / samples;
+            const currentSign = sign(t);
+            if (currentSign === 0) continue;
+
+            if (previousSign !== 0 && currentSign !== previousSign) {
+                // Bisseção entre a última amostra com sinal e a atual
+                let low = previousT;
+                let high = t;
+                for (let iteration = 0; iteration < 30; iteration++) {
+                    const mid = (low + high) / 2;
+                    if (sign(mid) === previousSign) {
+                        low = mid;
+                    } else {
+                        high = mid;
+                    }
+                }
+                inflections.push((low + high) / 2);
+            }
+
+            previousT = t;
+            previousSign = currentSign;
+        }
+
+        return inflections;
+    },
+
+    /**
+     * Projeta um ponto na curva: busca grossa por amostragem seguida de Newton
+     * em f(t) = (C(t) − P) · C'(t)
+     * @param {Object} curve - Definição da curva (ver evaluateCurve)
+     * @param {Object} target - Ponto {x, y}
+     * @param {number} samples - Número de amostras da busca inicial
+     * @returns {Object} {t, distance, point} com t normalizado em [0, 1]
+     */
+    nearestPointOnCurve(curve, target, samples = 100) {
+        let best = { t: 0, distance: Infinity, point: null };
+        const candidates = [];
+        for (let i = 0; i <= samples; i++) candidates.push(i / samples);
+
+        candidates.concat(this.curveBreakpoints(curve)).forEach(t => {
+            const point = this.evaluateCurve(curve, t);
+            const distance = this.distance(point, target);
+            if (distance < best.distance) best = { t, distance, point };
+        });
+
+        let t = best.t;
+        for (let iteration = 0; iteration < 8; iteration++) {
+            const { point, first, second } = this.curveDerivatives(curve, t);
+            const dx = point.x - target.x;
+            const dy = point.y - target.y;
+            const f = dx * first.x + dy * first.y;
+            const df = first.x * first.x + first.y * first.y + dx * second.x + dy * second.y;
+            if (Math.abs(df) < 1e-12) break;
+
+            const next = Math.max(0, Math.min(1, t - f / df));
+            const nextPoint = this.evaluateCurve(curve, next);
+            const distance = this.distance(nextPoint, target);
+
+            // Newton só é aceito enquanto aproxima a projeção
+            if (distance > best.distance) break;
+            best = { t: next, distance, point: nextPoint };
+            if (Math.abs(next - t) < 1e-10) break;
+            t = next;
+        }
+
+        return best;
+    },
+
+    /**
+     * Encontra todas as interseções entre duas curvas
+     * @param {Object} curveA - Definição da primeira curva (ver evaluateCurve)
+     * @param {Object} curveB - Definição da segunda curva
+     * @returns {Array} Interseções {t1, t2, x, y} ordenadas por t1
+     */
+    intersectCurves(curveA, curveB) {
+        const a = this.tessellateCurve(curveA, 0.25, 5);
+        const b = this.tessellateCurve(curveB, 0.25, 5);
+        const candidates = this.intersectPolylines(a, b, false);
+
+        return this.refineIntersections(curveA, curveB, candidates, false);
+    },
+
+    /**
+     * Encontra as autointerseções de uma curva (t1 < t2)
+     * @param {Object} curve - Definição da curva (ver evaluateCurve)
+     * @returns {Array} Interseções {t1, t2, x, y} ordenadas por t1
+     */
+    selfIntersections(curve) {
+        const polyline = this.tessellateCurve(curve, 0.25, 5);
+        const candidates = this.intersectPolylines(polyline, polyline, true);
+
+        return this.refineIntersections(curve, curve, candidates, true);
+    },
+
+    /**
+     * Interseções entre uma curva e o segmento de reta p0-p1
+     * @param {Object} curve - Definição da curva (ver evaluateCurve)
+     * @param {Object} p0 - Início do segmento {x, y}
+     * @param {Object} p1 - Fim do segmento {x, y}
+     * @returns {Array} Interseções {t1, t2, x, y} (t2 é o parâmetro no segmento)
+     */
+    intersectCurveLine(curve, p0, p1) {
+        const line = {
+            type: 'bezier',
+            controlPoints: [{ x: p0.x, y: p0.y, weight: 1 }, { x: p1.x, y: p1.y, weight: 1 }]
+        };
+
+        return this.intersectCurves(curve, line);
+    },
+
+    /**
+     * Subdivisão por caixas envolventes: descarta pares de trechos das polilinhas
+     * cujas caixas não se tocam e testa segmento contra segmento no fim
+     * @param {Object} a - Polilinha {points, parameters} (ver tessellateCurve)
+     * @param {Object} b - Polilinha {points, parameters}
+     * @param {boolean} self - Se a e b são a mesma curva (ignora segmentos vizinhos)
+     * @returns {Array} Estimativas {t1, t2}
+     */
+    intersectPolylines(a, b, self) {
+        const candidates = [];
+        const padding = 0.5;
+        const lastA = a.points.length - 1;
+        const closed = self && this.distance(a.points[0], a.points[lastA]) < 1e-9;
+
+        const box = (points, i0, i1) => {
+            const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            for (let i = i0; i <= i1; i++) {
+                bounds.minX = Math.min(bounds.minX, points[i].x);
+                bounds.minY = Math.min(bounds.minY, points[i].y);
+                bounds.maxX = Math.max(bounds.maxX, points[i].x);
+                bounds.maxY = Math.max(bounds.maxY, points[i].y);
+            }
+            return bounds;
+        };
+
+        const overlap = (p, q) => p.minX - padding <= q.maxX && q.minX - padding <= p.maxX &&
+            p.minY - padding <= q.maxY && q.minY - padding <= p.maxY;
+
+        // Intervalos [i0, i1] são índices de vértices; um segmento tem i1 = i0 + 1
+        const search = (i0, i1, j0, j1) => {
+            if (self && j1 <= i0) return;
+            if (!overlap(box(a.points, i0, i1), box(b.points, j0, j1))) return;
+
+            if (i1 - i0 === 1 && j1 - j0 === 1) {
+                // Segmentos vizinhos sempre se tocam no vértice comum
+                if (self && (j0 <= i0 + 1 || (closed && i0 === 0 && j1 === lastA))) return;
+
+                const hit = this.segmentIntersection(a.points[i0], a.points[i1], b.points[j0], b.points[j1]);
+                if (hit) {
+                    candidates.push({
+                        t1: a.parameters[i0] + hit.u * (a.parameters[i1] - a.parameters[i0]),
+                        t2: b.parameters[j0] + hit.v * (b.parameters[j1] - b.parameters[j0])
+                    });
+                }
+                return;
+            }
+
+            // Divide o intervalo mais longo
+            if (i1 - i0 >= j1 - j0) {
+                const mid = Math.floor((i0 + i1) / 2);
+                search(i0, mid, j0, j1);
+                search(mid, i1, j0, j1);
+            } else {
+                const mid = Math.floor((j0 + j1) / 2);
+                search(i0, i1, j0, mid);
+                search(i0, i1, mid, j1);
+            }
+        };
+
+        search(0, lastA, 0, b.points.length - 1);
+        return candidates;
+    },
+
+    /**
+     * Interseção entre os segmentos p0-p1 e q0-q1
+     * @param {Object} p0 - Início do primeiro segmento
+     * @param {Object} p1 - Fim do primeiro segmento
+     * @param {Object} q0 - Início do segundo segmento
+     * @param {Object} q1 - Fim do segundo segmento
+     * @returns {Object|null} Parâmetros {u, v} nos dois segmentos ou null
+     */
+    segmentIntersection(p0, p1, q0, q1) {
+        const rx = p1.x - p0.x;
+        const ry = p1.y - p0.y;
+        const sx = q1.x - q0.x;
+        const sy = q1.y - q0.y;
+        const denominator = rx * sy - ry * sx;
+        if (Math.abs(denominator) < 1e-12) return null;
+
+        const dx = q0.x - p0.x;
+        const dy = q0.y - p0.y;
+        const u = (dx * sy - dy * sx) / denominator;
+        const v = (dx * ry - dy * rx) / denominator;
+        const epsilon = 1e-9;
+
+        if (u < -epsilon || u > 1 + epsilon || v < -epsilon || v > 1 + epsilon) return null;
+        return { u: Math.max(0, Math.min(1, u)), v: Math.max(0, Math.min(1, v)) };
+    },
+
+    /**
+     * Refina estimativas de interseção por Newton em F(s, t) = A(s) − B(t) e
+     * remove duplicatas (cruzamentos sobre vértices aparecem duas vezes)
+     * @param {Object} curveA - Primeira curva
+     * @param {Object} curveB - Segunda curva
+     * @param {Array} candidates - Estimativas {t1, t2}
+     * @param {boolean} self - Se é autointerseção (descarta s ≈ t)
+     * @returns {Array} Interseções {t1, t2, x, y} ordenadas por t1
+     */
+    refineIntersections(curveA, curveB, candidates, self) {
+        const results = [];
+
+        candidates.forEach(candidate => {
+            let s = candidate.t1;
+            let t = candidate.t2;
+
+            for (let iteration = 0; iteration < 10; iteration++) {
+                const da = this.curveDerivatives(curveA, s);
+                const db = this.curveDerivatives(curveB, t);
+                const fx = da.point.x - db.point.x;
+                const fy = da.point.y - db.point.y;
+                if (Math.hypot(fx, fy) < 1e-9) break;
+
+                // Jacobiano [A'(s)  −B'(t)]; tangência (det ≈ 0) mantém a estimativa
+                const determinant = -da.first.x * db.first.y + da.first.y * db.first.x;
+                if (Math.abs(determinant) < 1e-12) break;
+
+                const ds = (db.first.x * fy - fx * db.first.y) / determinant;
+                const dt = (da.first.x * fy - da.first.y * fx) / determinant;
+                const nextS = Math.max(0, Math.min(1, s - ds));
+                const nextT = Math.max(0, Math.min(1, t - dt));
+
+                // Newton que se afasta da estimativa indica outra raiz: desiste
+                if (Math.abs(nextS - candidate.t1) > 0.05 || Math.abs(nextT - candidate.t2) > 0.05) break;
+                s = nextS;
+                t = nextT;
+            }
+
+            if (self && s > t) [s, t] = [t, s];
+            if (self && t - s < 1e-6) return;
+
+            const point = this.evaluateCurve(curveA, s);
+            const duplicate = results.some(result => this.distance(result, point) < 1e-3 &&
+                Math.abs(result.t1 - s) < 1e-4);
+            if (!duplicate) {
+                results.push({ t1: s, t2: t, x: point.x, y: point.y });
+            }
+        });
+
+        return results.sort((p, q) => p.t1 - q.t1);
+    },
+
+    /**
+     * Trecho [u0, u1] de uma curva de Bézier (duas subdivisões)
+     * @param {Array} controlPoints - Pontos de controle {x, y, weight}
+     * @param {number} u0 - Início do trecho (0 a 1)
+     * @param {number} u1 - Fim do trecho (0 a 1, maior que u0)
+     * @returns {Array} Pontos de controle do trecho
+     */
+    bezierPortion(controlPoints, u0, u1) {
+        const left = u1 < 1 ? this.subdivideBezier(controlPoints, u1).left : controlPoints;
+        return u0 > 0 ? this.subdivideBezier(left, u0 / u1).right : left;
+    },
+
+    /**
+     * Curva paralela (offset) aproximada por Béziers cúbicas de Hermite
+     *
+     * O offset O(t) = C(t) + d·N(t) tem derivada O'(t) = C'(t)·(1 − d·κ(t)): onde
+     * d·κ = 1 (raio de curvatura igual à distância) ela se anula e surge uma cúspide.
+     * Os trechos são divididos nas cúspides e nas quebras da curva e subdivididos
+     * até o erro ficar abaixo da tolerância; os laços entre pares de cúspides
+     * (rabo de andorinha) são recortados na autointerseção.
+     * @param {Object} curve - Definição da curva (ver evaluateCurve)
+     * @param {number} distance - Distância; positiva à esquerda do sentido de percurso, negativa à direita
+     * @param {number} tolerance - Erro máximo da aproximação (px)
+     * @param {number} maxDepth - Profundidade máxima da subdivisão
+     * @returns {Object} {segments, error, cusps, loops}
+     */
+    offsetCurve(curve, distance, tolerance = 0.5, maxDepth = 10) {
+        // Ponto e derivada do offset; sem velocidade a normal vem de um t vizinho
+        const offsetAt = (t) => {
+            const derivatives = this.curveDerivatives(curve, t);
+            let speed = Math.hypot(derivatives.first.x, derivatives.first.y);
+            let tangent = derivatives.first;
+
+            if (speed < 1e-9) {
+                tangent = this.curveDerivatives(curve, t < 0.5 ? t + 1e-6 : t - 1e-6).first;
+                speed = Math.hypot(tangent.x, tangent.y) || 1;
+            }
+
+            const factor = 1 - distance * this.curvature(derivatives);
+            return {
+                point: {
+                    x: derivatives.point.x - distance * tangent.y / speed,
+                    y: derivatives.point.y + distance * tangent.x / speed
+                },
+                derivative: { x: derivatives.first.x * factor, y: derivatives.first.y * factor }
+            };
+        };
+
+        // Cúspides: troca de sinal de 1 − d·κ
+        const factorSign = (t) => Math.sign(1 - distance * this.curvature(this.curveDerivatives(curve, t)));
+        const cusps = [];
+        const samples = 200;
+        let previousSign = factorSign(0);
+        for (let i = 1; i <= samples; i++) {
+            const sign = factorSign(i / samples);
+            if (sign !== 0 && previousSign !== 0 && sign !== previousSign) {
+                let low = (i - 1) / samples;
+                let high = i / samples;
+                for (let iteration = 0; iteration < 30; iteration++) {
+                    const mid = (low + high) / 2;
+                    if (factorSign(mid) === previousSign) {
+                        low = mid;
+                    } else {
+                        high = mid;
+                    }
+                }
+                cusps.push((low + high) / 2);
+            }
+            if (sign !== 0) previousSign = sign;
+        }
+
+        const segments = [];
+        const ranges = [];
+        let error = 0;
+
+        const fit = (a, b, depth) => {
+            // Derivadas avaliadas um pouco para dentro (quebras de curvatura nos nós)
+            const delta = (b - a) * 1e-7;
+            const start = offsetAt(a + delta);
+            const end = offsetAt(b - delta);
+            const p0 = offsetAt(a).point;
+            const p3 = offsetAt(b).point;
+            const scale = (b - a) / 3;
+            const segment = [
+                { x: p0.x, y: p0.y, weight: 1 },
+                { x: p0.x + start.derivative.x * scale, y: p0.y + start.derivative.y * scale, weight: 1 },
+                { x: p3.x - end.derivative.x * scale, y: p3.y - end.derivative.y * scale, weight: 1 },
+                { x: p3.x, y: p3.y, weight: 1 }
+            ];
+
+            let segmentError = 0;
+            for (let k = 1; k < 8; k++) {
+                const u = k / 8;
+                const approximate = this.deCasteljauBezier(segment, u);
+                segmentError = Math.max(segmentError, this.distance(approximate, offsetAt(a + (b - a) * u).point));
+            }
+
+            if (segmentError > tolerance && depth < maxDepth) {
+                const mid = (a + b) / 2;
+                fit(a, mid, depth + 1);
+                fit(mid, b, depth + 1);
+                return;
+            }
+
+            segments.push(segment);
+            ranges.push([a, b]);
+            error = Math.max(error, segmentError);
+        };
+
+        const splits = this.curveBreakpoints(curve).concat(cusps).sort((p, q) => p - q)
+            .filter((t, i, all) => i === 0 || t - all[i - 1] > 1e-9);
+        for (let i = 0; i < splits.length - 1; i++) {
+            fit(splits[i], splits[i + 1], 0);
+        }
+
+        // Laços: autointerseções do offset cujo trecho contém uma cúspide
+        const count = segments.length;
+        const original = (t) => {
+            const index = Math.min(count - 1, Math.floor(t * count));
+            const local = t * count - index;
+            return ranges[index][0] + local * (ranges[index][1] - ranges[index][0]);
+        };
+
+        const loops = [];
+        if (cusps.length > 0) {
+            this.selfIntersections({ type: 'path', segments }).forEach(hit => {
+                const a = original(hit.t1);
+                const b = original(hit.t2);
+                const containsCusp = cusps.some(cusp => cusp > a && cusp < b);
+                const nested = loops.length > 0 && hit.t1 < loops[loops.length - 1].t2;
+                if (containsCusp && !nested) loops.push(hit);
+            });
+        }
+
+        // Mantém só os trechos fora dos laços
+        const kept = [];
+        let from = 0;
+        loops.concat({ t1: 1, t2: 1 }).forEach(loop => {
+            segments.forEach((segment, i) => {
+                const low = Math.max(from, i / count);
+                const high = Math.min(loop.t1, (i + 1) / count);
+                if (high - low > 1e-12) {
+                    kept.push(this.bezierPortion(segment, low * count - i, high * count - i));
+                }
+            });
+            from = loop.t2;
+        });
+
+        return {
+            segments: kept,
+            error,
+            cusps: cusps.map(t => offsetAt(t).point),
+            loops: loops.length
+        };
+    },
+
+    /**
+     * Integração adaptativa de Simpson
+     * @param {Function} f - Função de uma variável
+     * @param {number} a - Início do intervalo
+     * @param {number} b - Fim do intervalo
+     * @param {number} tolerance - Erro absoluto desejado
+     * @param {number} maxDepth - Profundidade máxima da recursão
+     * @returns {number} Integral aproximada
+     */
+    integrateAdaptive(f, a, b, tolerance = 1e-4, maxDepth = 18) {
+        const simpson = (width, fa, fm, fb) => width / 6 * (fa + 4 * fm + fb);
+
+        const recurse = (a, b, fa, fm, fb, whole, tolerance, depth) => {
+            const m = (a + b) / 2;
+            const flm = f((a + m) / 2);
+            const frm = f((m + b) / 2);
+            const left = simpson(m - a, fa, flm, fm);
+            const right = simpson(b - m, fm, frm, fb);
+            const delta = left + right - whole;
+
+            if (depth <= 0 || Math.abs(delta) <= 15 * tolerance) {
+                return left + right + delta / 15;
+            }
+            return recurse(a, m, fa, flm, fm, left, tolerance / 2, depth - 1) +
+                recurse(m, b, fm, frm, fb, right, tolerance / 2, depth - 1);
+        };
+
+        // Começa com 4 subintervalos para não aceitar cedo demais funções simétricas
+        let total = 0;
+        const width = (b - a) / 4;
+        for (let i = 0; i < 4; i++) {
+            const start = a + i * width;
+            const end = start + width;
+            const fa = f(start);
+            const fm = f(start + width / 2);
+            const fb = f(end);
+            total += recurse(start, end, fa, fm, fb, simpson(width, fa, fm, fb), tolerance / 4, maxDepth);
+        }
+        return total;
+    },
+
+    /**
+     * Comprimento de arco num intervalo sem quebras de trecho
+     * (as pontas são levemente recuadas para usar a derivada do próprio trecho)
+     * @param {Object} curve - Definição da curva (ver evaluateCurve)
+     * @param {number} a - Parâmetro inicial
+     * @param {number} b - Parâmetro final
+     * @param {number} tolerance - Erro absoluto desejado
+     * @returns {number} Comprimento
+     */
+    integrateSpeed(curve, a, b, tolerance = 1e-3) {
+        if (b <= a) return 0;
+
+        const delta = (b - a) * 1e-7;
+        const speed = (t) => {
+            const derivative = this.curveDerivative(curve, Math.min(b - delta, Math.max(a + delta, t)));
+            return Math.hypot(derivative.x, derivative.y);
+        };
+        return this.integrateAdaptive(speed, a, b, tolerance);
+    },
+
+    /**
+     * Comprimento de arco entre dois parâmetros, integrando trecho a trecho
+     * @param {Object} curve - Definição da curva (ver evaluateCurve)
+     * @param {number} t0 - Parâmetro inicial (default: 0)
+     * @param {number} t1 - Parâmetro final (default: 1)
+     * @param {number} tolerance - Erro absoluto desejado
+     * @returns {number} Comprimento
+     */
+    arcLength(curve, t0 = 0, t1 = 1, tolerance = 1e-3) {
+        const cuts = [t0, ...this.curveBreakpoints(curve).filter(t => t > t0 && t < t1), t1];
+        let length = 0;
+        for (let i = 0; i < cuts.length - 1; i++) {
+            length += this.integrateSpeed(curve, cuts[i], cuts[i + 1], tolerance / (cuts.length - 1));
+        }
+        return length;
+    },
+
+    /**
+     * Tabela de reparametrização por comprimento de arco
+     * @param {Object} curve - Definição da curva (ver evaluateCurve)
+     * @param {number} samples - Número de intervalos uniformes (as quebras de trecho são incluídas)
+     * @returns {Object} {parameters, lengths, total}: comprimento acumulado em cada parâmetro
+     */
+    buildArcLengthTable(curve, samples = 100) {
+        const uniform = [];
+        for (let i = 0; i <= samples; i++) uniform.push(i / samples);
+
+        const parameters = [...new Set(uniform.concat(this.curveBreakpoints(curve)))].sort((a, b) => a - b);
+        const lengths = [0];
+        for (let i = 1; i < parameters.length; i++) {
+            lengths.push(lengths[i - 1] + this.integrateSpeed(curve, parameters[i - 1], parameters[i], 1e-4));
+        }
+
+        return { parameters, lengths, total: lengths[lengths.length - 1] };
+    },
+
+    /**
+     * Encontra o intervalo da tabela que contém um valor
+     * @param {Array} values - Valores crescentes
+     * @param {number} value - Valor procurado
+     * @returns {number} Índice k com values[k] ≤ value ≤ values[k + 1]
+     */
+    findTableInterval(values, value) {
+        let low = 0;
+        let high = values.length - 2;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (values[mid] <= value) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return Math.max(0, low);
+    },
+
+    /**
+     * Comprimento de arco desde o início até o parâmetro t
+     * @param {Object} curve - Definição da curva
+     * @param {Object} table - Tabela de buildArcLengthTable
+     * @param {number} t - Parâmetro entre 0 e 1
+     * @returns {number} Comprimento acumulado
+     */
+    lengthAtParameter(curve, table, t) {
+        const k = this.findTableInterval(table.parameters, t);
+        return table.lengths[k] + this.integrateSpeed(curve, table.parameters[k], Math.min(t, table.parameters[k + 1]), 1e-4);
+    },
+
+    /**
+     * Parâmetro t em que a curva atinge o comprimento s
+     * (interpolação na tabela refinada por um passo de Newton)
+     * @param {Object} curve - Definição da curva
+     * @param {Object} table - Tabela de buildArcLengthTable
+     * @param {number} s - Comprimento desejado (0 a table.total)
+     * @returns {number} Parâmetro entre 0 e 1
+     */
+    parameterAtLength(curve, table, s) {
+        if (table.total <= 0) return Math.max(0, Math.min(1, s));
+        if (s <= 0) return 0;
+        if (s >= table.total) return 1;
+
+        const k = this.findTableInterval(table.lengths, s);
+        const t0 = table.parameters[k];
+        const t1 = table.parameters[k + 1];
+        const l0 = table.lengths[k];
+        const l1 = table.lengths[k + 1];
+        let t = l1 > l0 ? t0 + (s - l0) / (l1 - l0) * (t1 - t0) : t0;
+
+        const derivative = this.curveDerivative(curve, t);
+        const speed = Math.hypot(derivative.x, derivative.y);
+        if (speed > 1e-9) {
+            const length = l0 + this.integrateSpeed(curve, t0, t, 1e-4);
+            t = Math.max(t0, Math.min(t1, t - (length - s) / speed));
+        }
+        return t;
+    },
+
+    /**
+     * Reamostra a curva em pontos igualmente espaçados ao longo do comprimento
+     * @param {Object} curve - Definição da curva
+     * @param {number} count - Número de intervalos
+     * @param {Object} table - Tabela de buildArcLengthTable (opcional)
+     * @returns {Object} {points, parameters}
+     */
+    resampleByArcLength(curve, count, table = null) {
+        const lengthTable = table || this.buildArcLengthTable(curve);
+        const points = [];
+        const parameters = [];
+
+        for (let i = 0; i <= count; i++) {
+            const t = this.parameterAtLength(curve, lengthTable, (i / count) * lengthTable.total);
+            parameters.push(t);
+            points.push(this.evaluateCurve(curve, t));
+        }
+
+        return { points, parameters };
+    },
+
+    /**
+     * Tesselação adaptativa: subdivide cada intervalo ao meio até que o ponto médio
+     * fique a no máximo `flatness` da corda e a corda se desvie no máximo `angle / 2` graus
+     * das tangentes nas suas pontas, de modo que a polilinha vire no máximo `angle` graus
+     * em cada vértice (mais a quina da própria curva, nas quebras de trecho sem continuidade C1)
+     * @param {Object} curve - Definição da curva (ver evaluateCurve)
+     * @param {number} flatness - Distância máxima entre curva e polilinha (px)
+     * @param {number} angle - Ângulo máximo entre segmentos consecutivos (graus)
+     * @param {number} maxDepth - Profundidade máxima da recursão
+     * @returns {Object} {points, parameters}
+     */
+    tessellateCurve(curve, flatness = 0.5, angle = 10, maxDepth = 12) {
+        const maxDeviation = angle * Math.PI / 360;
+        const points = [this.evaluateCurve(curve, 0)];
+        const parameters = [0];
+
+        // Ângulo entre dois vetores (zero se algum é nulo, como a tangente numa cúspide)
+        const angleBetween = (a, b) => (a.x === 0 && a.y === 0) || (b.x === 0 && b.y === 0)
+            ? 0
+            : Math.abs(Math.atan2(a.x * b.y - a.y * b.x, a.x * b.x + a.y * b.y));
+
+        // d0 e d1 são as tangentes em t0 e t1 vistas de dentro do intervalo
+        const subdivide = (t0, p0, d0, t1, p1, d1, depth) => {
+            const tm = (t0 + t1) / 2;
+            const { point: pm, first: dm } = this.curveDerivatives(curve, tm);
+
+            // Distância do ponto médio à corda (ou ao ponto inicial se a corda é degenerada)
+            const chord = this.distance(p0, p1);
+            const deviation = chord < 1e-9
+                ? this.distance(p0, pm)
+                : Math.abs((p1.x - p0.x) * (p0.y - pm.y) - (p0.x - pm.x) * (p1.y - p0.y)) / chord;
+
+            // Desvio da corda em relação às tangentes nas pontas
+            const direction = { x: p1.x - p0.x, y: p1.y - p0.y };
+            const turn = Math.max(angleBetween(d0, direction), angleBetween(direction, d1));
+
+            if (depth < maxDepth && (deviation > flatness || turn > maxDeviation)) {
+                subdivide(t0, p0, d0, tm, pm, dm, depth + 1);
+                subdivide(tm, pm, dm, t1, p1, d1, depth + 1);
+            } else {
+                points.push(p1);
+                parameters.push(t1);
+            }
+        };
+
+        // Cada trecho polinomial começa dividido em 4 para não perder laços e
+        // inflexões cujo ponto médio cai sobre a corda; a tangente no fim do trecho
+        // é tomada logo antes da quebra, do lado do próprio trecho
+        const breakpoints = this.curveBreakpoints(curve);
+        for (let i = 0; i < breakpoints.length - 1; i++) {
+            const a = breakpoints[i];
+            const b = breakpoints[i + 1];
+            let start = this.curveDerivatives(curve, a).first;
+            for (let j = 0; j < 4; j++) {
+                const t0 = a + (b - a) * j / 4;
+                const t1 = a + (b - a) * (j + 1) / 4;
+                const end = this.curveDerivatives(curve, j === 3 ? b - (b - a) * 1e-9 : t1).first;
+                subdivide(t0, points[points.length - 1], start, t1, this.evaluateCurve(curve, t1), end, 0);
+                start = end;
+            }
+        }
+
+        return { points, parameters };
+    },
+
+    /**
+     * Calcula a distância entre dois pontos
+     * @param {Object} p1 - Primeiro ponto {x, y}
+     * @param {Object} p2 - Segundo ponto {x, y}
+     * @returns {number} Distância euclidiana
+     */
+    distance(p1, p2) {
+        return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+    },
+
+    /**
+     * Encontra o ponto de controle mais próximo a uma coordenada
+     * @param {Array} controlPoints - Array de pontos de controle
+     * @param {Object} targetPoint - Ponto alvo {x, y}
+     * @param {number} threshold - Distância máxima para considerar (default: 15)
+     * @returns {number} Índice do ponto encontrado ou -1
+     */
+    findNearestControlPoint(controlPoints, targetPoint, threshold = 15) {
+        let nearestIndex = -1;
+        let minDistance = threshold;
+
+        for (let i = 0; i < controlPoints.length; i++) {
+            const distance = this.distance(controlPoints[i], targetPoint);
+            if (distance < minDistance) {
+                minDistance = distance;
+                nearestIndex = i;
+            }
+        }
+
+        return nearestIndex;
+    },
+
+    /**
+     * Valida se um conjunto de pontos pode formar uma curva válida
+     * @param {Array} controlPoints - Pontos de controle
+     * @param {string} curveType - Tipo de curva ('bezier' ou 'spline')
+     * @param {number} degree - Grau da curva (para splines)
+     * @returns {boolean} True se válido
+     */
+    validateCurve(controlPoints, curveType, degree = 3) {
+        if (!controlPoints || controlPoints.length === 0) return false;
 
         if (curveType === 'bezier') {
             return controlPoints.length >= 2;
         } else if (curveType === 'spline') {
             return controlPoints.length >= degree + 1;
+        } else if (curveType === 'catmullrom') {
+            return controlPoints.length >= 2;
         }
 
         return false;
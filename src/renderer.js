@@ -72,8 +72,9 @@ const Renderer = {
      * @param {number} index - Índice do ponto
      * @param {boolean} isSelected - Se o ponto está selecionado
      * @param {boolean} isHovered - Se o mouse está sobre o ponto
+     * @param {string} color - Cor de preenchimento (default: cor padrão dos pontos)
      */
-    drawControlPoint(point, index, isSelected = false, isHovered = false) {
+    drawControlPoint(point, index, isSelected = false, isHovered = false, color = null) {
         const radius = 6;
         const weight = point.weight || 1;
         const displayIndex = index + 1; // Mostra numeração iniciando em 1
@@ -105,8 +106,8 @@ const Renderer = {
             this.ctx.strokeStyle = '#1976d2';
             this.ctx.lineWidth = 2;
         } else {
-            this.ctx.fillStyle = '#667eea';
-            this.ctx.strokeStyle = '#4a5dc7';
+            this.ctx.fillStyle = color || '#667eea';
+            this.ctx.strokeStyle = color ? this.adjustColorBrightness(color, -40) : '#4a5dc7';
             this.ctx.lineWidth = 2;
         }
 
@@ -140,7 +141,7 @@ const Renderer = {
      * Desenha linhas de construção entre pontos de controle
      * @param {Array} controlPoints - Array de pontos de controle
      */
-    drawConstructionLines(controlPoints) {
+    drawConstructionLines(controlPoints, closed = false) {
         if (controlPoints.length < 2) return;
 
         this.ctx.save();
@@ -156,6 +157,10 @@ const Renderer = {
             this.ctx.lineTo(controlPoints[i].x, controlPoints[i].y);
         }
 
+        if (closed) {
+            this.ctx.closePath();
+        }
+
         this.ctx.stroke();
         this.ctx.restore();
     },
@@ -243,6 +248,440 @@ const Renderer = {
         this.ctx.restore();
     },
 
+    /**
+     * Desenha uma curva secundária de forma esmaecida
+     * @param {Object} inactive - Curva {controlPoints, curve}
+     */
+    drawInactiveCurve(inactive) {
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.35;
+
+        this.drawConstructionLines(inactive.controlPoints);
+        if (inactive.curve.length > 1) {
+            this.drawCurve(inactive.curve, '#9e9e9e', 2);
+        }
+
+        this.ctx.fillStyle = '#9e9e9e';
+        inactive.controlPoints.forEach(point => {
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, 4, 0, 2 * Math.PI);
+            this.ctx.fill();
+        });
+
+        this.ctx.restore();
+    },
+
+    /**
+     * Desenha uma curva do documento que não está em edição
+     * @param {Object} item - Curva {curve, color}
+     */
+    drawDocumentCurve(item) {
+        if (item.curve.length < 2) return;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.7;
+        this.drawCurve(item.curve, item.color, 2);
+        this.ctx.restore();
+    },
+
+    // Cor da curva em cada aba
+    curveColors: {
+        bezier: '#e91e63',
+        spline: '#4caf50',
+        catmullrom: '#ff9800'
+    },
+
+    // Uma cor por nível da construção
+    levelColors: ['#ffc107', '#2196f3', '#4caf50', '#ff9800', '#9c27b0', '#00bcd4', '#795548', '#f44336'],
+
+    /**
+     * Desenha os níveis intermediários de uma construção (De Casteljau ou De Boor)
+     * @param {Object} construction - Construção {levels, point, firstLevel, visibleLevels}
+     */
+    drawConstruction(construction) {
+        const { levels, point } = construction;
+        const firstLevel = typeof construction.firstLevel === 'number' ? construction.firstLevel : 1;
+        const lastLevel = levels.length - 1;
+        const visibleLevels = typeof construction.visibleLevels === 'number'
+            ? construction.visibleLevels
+            : lastLevel;
+
+        this.ctx.save();
+
+        // No De Casteljau o nível 0 é o próprio polígono de controle e não é repetido;
+        // no De Boor o nível 0 são os grau + 1 pontos que influenciam t
+        for (let level = firstLevel; level < lastLevel && level <= visibleLevels; level++) {
+            const color = this.levelColors[level % this.levelColors.length];
+            const points = levels[level];
+
+            this.ctx.strokeStyle = color;
+            this.ctx.fillStyle = color;
+            this.ctx.lineWidth = level === 0 ? 2.5 : 1.5;
+
+            this.ctx.beginPath();
+            points.forEach((p, index) => {
+                if (index === 0) {
+                    this.ctx.moveTo(p.x, p.y);
+                } else {
+                    this.ctx.lineTo(p.x, p.y);
+                }
+            });
+            this.ctx.stroke();
+
+            points.forEach(p => {
+                this.ctx.beginPath();
+                this.ctx.arc(p.x, p.y, 3.5, 0, 2 * Math.PI);
+                this.ctx.fill();
+            });
+        }
+
+        if (visibleLevels < lastLevel) {
+            this.ctx.restore();
+            return;
+        }
+
+        // Ponto resultante sobre a curva
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 7, 0, 2 * Math.PI);
+        this.ctx.fillStyle = '#e91e63';
+        this.ctx.fill();
+        this.ctx.strokeStyle = 'white';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+
+        this.ctx.restore();
+    },
+
+    /**
+     * Destaca o trecho da curva controlado pelo intervalo de nós ativo
+     * @param {Array} spanCurve - Pontos do trecho
+     */
+    drawSpanHighlight(spanCurve) {
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(255, 193, 7, 0.6)';
+        this.ctx.lineWidth = 10;
+        this.ctx.beginPath();
+        this.ctx.moveTo(spanCurve[0].x, spanCurve[0].y);
+        for (let i = 1; i < spanCurve.length; i++) {
+            this.ctx.lineTo(spanCurve[i].x, spanCurve[i].y);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    },
+
+    /**
+     * Desenha um anel em volta de um ponto de controle influente
+     * @param {Object} point - Ponto {x, y}
+     */
+    drawInfluenceRing(point) {
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 12, 0, 2 * Math.PI);
+        this.ctx.strokeStyle = '#ffc107';
+        this.ctx.lineWidth = 3;
+        this.ctx.stroke();
+        this.ctx.restore();
+    },
+
+    /**
+     * Desenha o polígono de controle calculado pela interpolação
+     * (os pontos de passagem são desenhados como pontos de controle normais)
+     * @param {Array} controlPoints - Pontos de controle resolvidos
+     */
+    drawComputedControlPolygon(controlPoints) {
+        this.drawConstructionLines(controlPoints);
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#607d8b';
+        this.ctx.lineWidth = 1.5;
+        controlPoints.forEach(point => {
+            this.ctx.strokeRect(point.x - 4, point.y - 4, 8, 8);
+        });
+        this.ctx.restore();
+    },
+
+    /**
+     * Desenha o traço à mão livre enquanto o usuário arrasta
+     * @param {Array} stroke - Pontos do traço {x, y}
+     */
+    drawSketchStroke(stroke) {
+        this.ctx.save();
+        this.ctx.strokeStyle = '#607d8b';
+        this.ctx.lineWidth = 2;
+        this.ctx.lineJoin = 'round';
+        this.ctx.lineCap = 'round';
+        this.ctx.globalAlpha = 0.7;
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(stroke[0].x, stroke[0].y);
+        for (let i = 1; i < stroke.length; i++) {
+            this.ctx.lineTo(stroke[i].x, stroke[i].y);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    },
+
+    /**
+     * Desenha a sobreposição de geometria diferencial
+     * @param {Object} overlay - {frames, comb, inflections} (ver App.buildDifferentialOverlay)
+     */
+    drawDifferentialOverlay(overlay) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        // Pente de curvatura: dentes e envoltória
+        if (overlay.comb.length > 1) {
+            ctx.strokeStyle = 'rgba(103, 58, 183, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            overlay.comb.forEach(tooth => {
+                ctx.moveTo(tooth.point.x, tooth.point.y);
+                ctx.lineTo(tooth.tip.x, tooth.tip.y);
+            });
+            ctx.stroke();
+
+            ctx.strokeStyle = '#673ab7';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            overlay.comb.forEach((tooth, index) => {
+                if (index === 0) {
+                    ctx.moveTo(tooth.tip.x, tooth.tip.y);
+                } else {
+                    ctx.lineTo(tooth.tip.x, tooth.tip.y);
+                }
+            });
+            ctx.stroke();
+        }
+
+        // Referenciais: tangente em azul, normal em verde
+        const length = 50;
+        const arrow = (from, direction, color) => {
+            const tip = { x: from.x + direction.x * length, y: from.y + direction.y * length };
+            const angle = Math.atan2(direction.y, direction.x);
+
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(tip.x, tip.y);
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.moveTo(tip.x, tip.y);
+            ctx.lineTo(tip.x - 8 * Math.cos(angle - 0.4), tip.y - 8 * Math.sin(angle - 0.4));
+            ctx.lineTo(tip.x - 8 * Math.cos(angle + 0.4), tip.y - 8 * Math.sin(angle + 0.4));
+            ctx.closePath();
+            ctx.fill();
+        };
+
+        ctx.lineWidth = 2;
+        ctx.font = '11px Arial';
+        overlay.frames.forEach(frame => {
+            arrow(frame.point, frame.tangent, '#2196f3');
+            arrow(frame.point, frame.normal, '#009688');
+
+            ctx.fillStyle = '#333';
+            ctx.fillText(`t=${frame.t.toFixed(2)}`, frame.point.x + 6, frame.point.y - 6);
+        });
+
+        // Inflexões
+        ctx.lineWidth = 2;
+        overlay.inflections.forEach(point => {
+            ctx.beginPath();
+            ctx.moveTo(point.x, point.y - 7);
+            ctx.lineTo(point.x + 7, point.y);
+            ctx.lineTo(point.x, point.y + 7);
+            ctx.lineTo(point.x - 7, point.y);
+            ctx.closePath();
+            ctx.fillStyle = 'white';
+            ctx.fill();
+            ctx.strokeStyle = '#f44336';
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    },
+
+    /**
+     * Desenha cada trecho de Bézier de uma B-spline com sua cor e seu polígono de controle
+     * @param {Array} segments - Pontos de controle de cada Bézier
+     */
+    drawBezierDecomposition(segments) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        segments.forEach((segment, index) => {
+            const color = this.getPointColor(index);
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            segment.forEach((point, i) => {
+                if (i === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            const curve = CurveMath.generateBezierCurve(segment, 40);
+            ctx.lineWidth = 5;
+            ctx.beginPath();
+            curve.forEach((point, i) => {
+                if (i === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            ctx.stroke();
+
+            segment.forEach(point => {
+                ctx.fillRect(point.x - 3, point.y - 3, 6, 6);
+            });
+        });
+
+        ctx.restore();
+    },
+
+    /**
+     * Desenha a curva paralela (cúbicas com as junções marcadas) e suas cúspides
+     * @param {Object} offset - Resultado de CurveMath.offsetCurve
+     */
+    drawOffsetCurve(offset) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = '#3f51b5';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([8, 4]);
+
+        ctx.beginPath();
+        offset.segments.forEach(segment => {
+            const [p0, p1, p2, p3] = segment;
+            ctx.moveTo(p0.x, p0.y);
+            ctx.bezierCurveTo(p1.x, p1.y, p2.x, p2.y, p3.x, p3.y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Junções entre as cúbicas
+        ctx.fillStyle = '#3f51b5';
+        offset.segments.forEach(segment => {
+            ctx.fillRect(segment[0].x - 2, segment[0].y - 2, 4, 4);
+        });
+
+        ctx.strokeStyle = '#d32f2f';
+        ctx.lineWidth = 2;
+        offset.cusps.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 5, 0, 2 * Math.PI);
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    },
+
+    /**
+     * Marca uma interseção com um X numerado
+     * @param {Object} point - Ponto {x, y}
+     * @param {number} index - Índice na lista de interseções
+     */
+    drawIntersection(point, index) {
+        this.ctx.save();
+        this.ctx.strokeStyle = '#d32f2f';
+        this.ctx.lineWidth = 2.5;
+        this.ctx.beginPath();
+        this.ctx.moveTo(point.x - 6, point.y - 6);
+        this.ctx.lineTo(point.x + 6, point.y + 6);
+        this.ctx.moveTo(point.x + 6, point.y - 6);
+        this.ctx.lineTo(point.x - 6, point.y + 6);
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = '#d32f2f';
+        this.ctx.font = 'bold 11px Arial';
+        this.ctx.fillText(`X${index + 1}`, point.x + 8, point.y + 14);
+        this.ctx.restore();
+    },
+
+    /**
+     * Marca a projeção do mouse na curva e mostra o parâmetro
+     * @param {Object} hover - Projeção {point, t}
+     */
+    drawCurveHover(hover) {
+        const { point, t } = hover;
+        this.ctx.save();
+
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 5, 0, 2 * Math.PI);
+        this.ctx.fillStyle = 'white';
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#333';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+
+        const label = `t = ${t.toFixed(3)}`;
+        this.ctx.font = '12px Arial';
+        const width = this.ctx.measureText(label).width;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        this.ctx.fillRect(point.x + 10, point.y - 24, width + 10, 18);
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillText(label, point.x + 15, point.y - 11);
+
+        this.ctx.restore();
+    },
+
+    /**
+     * Desenha os polígonos de controle das duas metades de uma divisão
+     * @param {Object} preview - Divisão {point, left, right}
+     */
+    drawSplitPreview(preview) {
+        const halves = [
+            { points: preview.left, color: '#2196f3' },
+            { points: preview.right, color: '#ff9800' }
+        ];
+
+        this.ctx.save();
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([4, 3]);
+
+        halves.forEach(({ points, color }) => {
+            this.ctx.strokeStyle = color;
+            this.ctx.fillStyle = color;
+
+            this.ctx.beginPath();
+            points.forEach((point, index) => {
+                if (index === 0) {
+                    this.ctx.moveTo(point.x, point.y);
+                } else {
+                    this.ctx.lineTo(point.x, point.y);
+                }
+            });
+            this.ctx.stroke();
+
+            points.forEach(point => {
+                this.ctx.beginPath();
+                this.ctx.arc(point.x, point.y, 3, 0, 2 * Math.PI);
+                this.ctx.fill();
+            });
+        });
+
+        // Ponto de divisão
+        this.ctx.setLineDash([]);
+        this.ctx.beginPath();
+        this.ctx.arc(preview.point.x, preview.point.y, 6, 0, 2 * Math.PI);
+        this.ctx.fillStyle = 'white';
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#e91e63';
+        this.ctx.lineWidth = 3;
+        this.ctx.stroke();
+
+        this.ctx.restore();
+    },
+
     /**
      * Desenha informações de debug/estatísticas
      * @param {Object} info - Informações para exibir
@@ -275,27 +714,100 @@ const Renderer = {
      * @param {number} scene.selectedPoint - Índice do ponto selecionado
      * @param {number} scene.hoveredPoint - Índice do ponto sob o mouse
      * @param {boolean} scene.showConstructionLines - Mostrar linhas de construção
-     * @param {string} scene.curveType - Tipo de curva ('bezier' ou 'spline')
+     * @param {string} scene.curveType - Tipo de curva ('bezier', 'spline' ou 'catmullrom')
+     * @param {string} scene.curveColor - Cor da curva em edição (opcional; padrão: cor da aba)
+     * @param {Array} scene.documentCurves - Demais curvas do documento {curve, color} (opcional)
+     * @param {Array} scene.inactiveCurves - Curvas secundárias {controlPoints, curve}
+     * @param {Object} scene.splitPreview - Divisão em t {point, left, right} (opcional)
+     * @param {Object} scene.construction - Níveis intermediários {levels, point} (opcional)
+     * @param {Array} scene.influencingPoints - Índices dos pontos que influenciam t (opcional)
+     * @param {Array} scene.computedControlPoints - Polígono resolvido pela interpolação (opcional)
+     * @param {Array} scene.sketchStroke - Traço à mão livre em andamento (opcional)
+     * @param {Array} scene.spanCurve - Trecho da curva no intervalo de nós ativo (opcional)
+     * @param {boolean} scene.colorizePoints - Pinta cada ponto com sua cor da paleta
+     * @param {Object} scene.differentialOverlay - Tangentes, pente de curvatura e inflexões (opcional)
+     * @param {Object} scene.curveHover - Projeção do mouse na curva {point, t} (opcional)
+     * @param {Array} scene.intersections - Interseções {x, y} a marcar (opcional)
+     * @param {Object} scene.offset - Curva paralela {segments, cusps} (opcional)
+     * @param {Array} scene.bezierDecomposition - Trechos de Bézier da B-spline (opcional)
      */
     renderScene(scene) {
         this.clear();
 
+        // Demais curvas do documento, na ordem da lista
+        (scene.documentCurves || []).forEach(item => this.drawDocumentCurve(item));
+
+        // Desenha curvas secundárias (não editáveis no momento)
+        (scene.inactiveCurves || []).forEach(inactive => this.drawInactiveCurve(inactive));
+
         // Desenha linhas de construção se habilitadas
-        if (scene.showConstructionLines && scene.controlPoints.length > 1) {
-            this.drawConstructionLines(scene.controlPoints);
+        // (na interpolação o polígono é o calculado, não o dos pontos de passagem)
+        if (scene.computedControlPoints) {
+            this.drawComputedControlPolygon(scene.computedControlPoints);
+        } else if (scene.showConstructionLines && scene.controlPoints.length > 1) {
+            this.drawConstructionLines(scene.controlPoints, scene.closedPolygon);
         }
 
         // Desenha a curva
         if (scene.curve && scene.curve.length > 1) {
-            const color = scene.curveType === 'bezier' ? '#e91e63' : '#4caf50';
-            this.drawCurve(scene.curve, color);
+            this.drawCurve(scene.curve, scene.curveColor || this.curveColors[scene.curveType] || '#4caf50');
+        }
+
+        // Trechos de Bézier da B-spline, cada um com sua cor
+        if (scene.bezierDecomposition) {
+            this.drawBezierDecomposition(scene.bezierDecomposition);
+        }
+
+        // Curva paralela
+        if (scene.offset) {
+            this.drawOffsetCurve(scene.offset);
+        }
+
+        // Desenha tangentes, normais, pente de curvatura e inflexões
+        if (scene.differentialOverlay) {
+            this.drawDifferentialOverlay(scene.differentialOverlay);
+        }
+
+        // Trecho da spline controlado pelo intervalo de nós ativo
+        if (scene.spanCurve && scene.spanCurve.length > 1) {
+            this.drawSpanHighlight(scene.spanCurve);
+        }
+
+        // Construção (De Casteljau / De Boor) em t
+        if (scene.construction) {
+            this.drawConstruction(scene.construction);
+        }
+
+        // Pré-visualização da divisão em t
+        if (scene.splitPreview) {
+            this.drawSplitPreview(scene.splitPreview);
+        }
+
+        // Destaca os pontos que influenciam o t da construção
+        (scene.influencingPoints || []).forEach(index => {
+            const point = (scene.computedControlPoints || scene.controlPoints)[index];
+            if (point) this.drawInfluenceRing(point);
+        });
+
+        // Traço à mão livre em andamento
+        if (scene.sketchStroke && scene.sketchStroke.length > 1) {
+            this.drawSketchStroke(scene.sketchStroke);
+        }
+
+        // Interseções
+        (scene.intersections || []).forEach((point, index) => this.drawIntersection(point, index));
+
+        // Ponto da curva sob o mouse
+        if (scene.curveHover) {
+            this.drawCurveHover(scene.curveHover);
         }
 
         // Desenha pontos de controle
         scene.controlPoints.forEach((point, index) => {
             const isSelected = index === scene.selectedPoint;
             const isHovered = index === scene.hoveredPoint;
-            this.drawControlPoint(point, index, isSelected, isHovered);
+            const color = scene.colorizePoints ? this.getPointColor(index) : null;
+            this.drawControlPoint(point, index, isSelected, isHovered, color);
         });
 
         // Desenha informações de debug se habilitadas
@@ -309,6 +821,18 @@ const Renderer = {
         }
     },
 
+    // Paleta usada para associar pontos de controle às suas funções base
+    pointColors: ['#e53935', '#1e88e5', '#43a047', '#fb8c00', '#8e24aa', '#00acc1', '#6d4c41', '#d81b60', '#3949ab', '#7cb342'],
+
+    /**
+     * Obtém a cor da paleta de um ponto de controle
+     * @param {number} index - Índice do ponto
+     * @returns {string} Cor em hex
+     */
+    getPointColor(index) {
+        return this.pointColors[index % this.pointColors.length];
+    },
+
     /**
      * Ajusta o brilho de uma cor
      * @param {string} color - Cor em formato hex
@@ -325,7 +849,7 @@ const Renderer = {
         r = r > 255 ? 255 : r < 0 ? 0 : r;
         g = g > 255 ? 255 : g < 0 ? 0 : g;
         b = b > 255 ? 255 : b < 0 ? 0 : b;
-        return (usePound ? '#' : '') + (r << 16 | g << 8 | b).toString(16);
+        return (usePound ? '#' : '') + (r << 16 | g << 8 | b).toString(16).padStart(6, '0');
     },
 
     /**
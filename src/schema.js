@@ -0,0 +1,348 @@
+/**
+ * Módulo de Esquema do Arquivo JSON
+ * Descreve cada versão do formato (1.0: uma curva; 2.0: documento completo) como JSON Schema
+ * e valida arquivos importados
+ */
+
+const CurveSchema = {
+    // Formato gerado por DataManager.exportCurveData (subconjunto do JSON Schema draft-07)
+    exportV1: {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'Curva exportada (versão 1.0)',
+        type: 'object',
+        required: ['type', 'controlPoints'],
+        properties: {
+            type: { enum: ['bezier', 'spline', 'catmullrom'] },
+            controlPoints: { type: 'array', items: { $ref: '#/definitions/point' } },
+            settings: {
+                type: 'object',
+                properties: {
+                    steps: { type: 'integer', minimum: 1 },
+                    showConstructionLines: { type: 'boolean' }
+                }
+            },
+            metadata: {
+                type: 'object',
+                properties: {
+                    exportDate: { type: 'string' },
+                    version: { enum: ['1.0'] }
+                }
+            }
+        },
+        allOf: [
+            {
+                if: { required: ['type'], properties: { type: { const: 'bezier' } } },
+                then: {
+                    properties: {
+                        degree: { type: 'integer', minimum: 0 },
+                        segments: {
+                            type: 'array',
+                            items: { type: 'array', items: { $ref: '#/definitions/point' } }
+                        }
+                    }
+                }
+            },
+            {
+                if: { required: ['type'], properties: { type: { const: 'catmullrom' } } },
+                then: {
+                    properties: {
+                        parameterization: { $ref: '#/definitions/parameterization' },
+                        tension: { type: 'number' },
+                        bias: { type: 'number' },
+                        continuity: { type: 'number' }
+                    }
+                }
+            },
+            {
+                if: { required: ['type'], properties: { type: { const: 'spline' } } },
+                then: {
+                    properties: {
+                        degree: { type: 'integer', minimum: 1, maximum: 5 },
+                        interpolationStep: { type: 'number', exclusiveMinimum: 0 },
+                        closed: { type: 'boolean' },
+                        mode: { enum: ['control', 'interpolate'] },
+                        knotType: { enum: ['clamped', 'unclamped', 'uniform', 'custom'] },
+                        knots: { type: 'array', items: { type: 'number' } },
+                        interpolation: {
+                            type: 'object',
+                            properties: {
+                                parameterization: { $ref: '#/definitions/parameterization' },
+                                dataPoints: { type: 'array', items: { $ref: '#/definitions/point' } }
+                            }
+                        }
+                    }
+                }
+            }
+        ],
+        definitions: {
+            point: {
+                type: 'object',
+                required: ['x', 'y'],
+                properties: {
+                    x: { type: 'number' },
+                    y: { type: 'number' },
+                    weight: { type: 'number', exclusiveMinimum: 0 }
+                }
+            },
+            parameterization: { enum: ['uniform', 'centripetal', 'chordal'] }
+        }
+    },
+
+    // Documento completo .curves.json (todas as curvas, configurações e seleção)
+    documentV2: {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'Documento de curvas (versão 2.0)',
+        type: 'object',
+        required: ['version', 'curves'],
+        properties: {
+            format: { const: 'curves' },
+            version: { enum: ['2.0'] },
+            currentTab: { enum: ['bezier', 'spline', 'catmullrom'] },
+            activeCurves: {
+                type: 'object',
+                properties: {
+                    bezier: { type: 'string' },
+                    spline: { type: 'string' },
+                    catmullrom: { type: 'string' }
+                }
+            },
+            curves: { type: 'array', items: { $ref: '#/definitions/curve' } },
+            settings: { type: 'object' },
+            selection: {
+                type: 'object',
+                properties: {
+                    point: { type: 'integer', minimum: -1 },
+                    knot: { type: 'integer', minimum: -1 }
+                }
+            },
+            metadata: { type: 'object', properties: { exportDate: { type: 'string' } } }
+        },
+        definitions: {
+            curve: {
+                type: 'object',
+                required: ['type', 'data'],
+                properties: {
+                    id: { type: 'string' },
+                    type: { enum: ['bezier', 'spline', 'catmullrom'] },
+                    name: { type: 'string' },
+                    color: { type: 'string' },
+                    visible: { type: 'boolean' },
+                    locked: { type: 'boolean' },
+                    data: {
+                        type: 'object',
+                        required: ['controlPoints'],
+                        properties: {
+                            controlPoints: { type: 'array', items: { $ref: '#/definitions/point' } }
+                        }
+                    }
+                },
+                allOf: [
+                    {
+                        if: { required: ['type'], properties: { type: { const: 'bezier' } } },
+                        then: {
+                            properties: {
+                                data: {
+                                    properties: {
+                                        segments: {
+                                            type: 'array',
+                                            items: { type: 'array', items: { $ref: '#/definitions/point' } }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    {
+                        if: { required: ['type'], properties: { type: { const: 'catmullrom' } } },
+                        then: {
+                            properties: {
+                                data: {
+                                    properties: {
+                                        parameterization: { $ref: '#/definitions/parameterization' },
+                                        tension: { type: 'number' },
+                                        bias: { type: 'number' },
+                                        continuity: { type: 'number' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    {
+                        if: { required: ['type'], properties: { type: { const: 'spline' } } },
+                        then: {
+                            properties: {
+                                data: {
+                                    properties: {
+                                        knots: { type: 'array', items: { type: 'number' } },
+                                        dataPoints: { type: 'array', items: { $ref: '#/definitions/point' } },
+                                        degree: { type: 'integer', minimum: 1, maximum: 5 },
+                                        knotType: { enum: ['clamped', 'unclamped', 'uniform', 'custom'] },
+                                        closed: { type: 'boolean' },
+                                        mode: { enum: ['control', 'interpolate'] },
+                                        interpolation: { $ref: '#/definitions/parameterization' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            },
+            point: {
+                type: 'object',
+                required: ['x', 'y'],
+                properties: {
+                    x: { type: 'number' },
+                    y: { type: 'number' },
+                    weight: { type: 'number', exclusiveMinimum: 0 }
+                }
+            },
+            parameterization: { enum: ['uniform', 'centripetal', 'chordal'] }
+        }
+    },
+
+    /**
+     * Obtém o esquema de uma versão do formato
+     * @param {string} version - Versão ('1.0' ou '2.0')
+     * @returns {Object|null} Esquema ou null se a versão não tem esquema
+     */
+    forVersion(version) {
+        const schemas = { '1.0': this.exportV1, '2.0': this.documentV2 };
+        return schemas[version] || null;
+    },
+
+    // Nomes dos tipos JSON nas mensagens
+    typeNames: {
+        object: 'objeto',
+        array: 'lista',
+        string: 'texto',
+        number: 'número',
+        integer: 'inteiro',
+        boolean: 'booleano',
+        null: 'null'
+    },
+
+    /**
+     * Valida um valor contra um esquema
+     * @param {*} data - Valor a validar (JSON já interpretado)
+     * @param {Object} schema - Esquema (default: formato exportado 1.0)
+     * @returns {Array} Erros {path, message}; vazio se o valor é válido
+     */
+    validate(data, schema = this.exportV1) {
+        const errors = [];
+        this.check(data, schema, '', errors, schema);
+        return errors;
+    },
+
+    /**
+     * Aplica recursivamente as palavras-chave suportadas
+     * (type, enum, const, minimum, maximum, exclusiveMinimum, required,
+     * properties, items, allOf, if/then/else e $ref para #/definitions)
+     * @param {*} value - Valor sendo validado
+     * @param {Object} schema - Esquema do valor
+     * @param {string} path - Caminho do campo (ex.: controlPoints[2].x)
+     * @param {Array} errors - Lista onde os erros são acumulados
+     * @param {Object} root - Esquema raiz (para resolver $ref)
+     */
+    check(value, schema, path, errors, root) {
+        if (schema.$ref) {
+            const name = schema.$ref.replace('#/definitions/', '');
+            this.check(value, root.definitions[name], path, errors, root);
+            return;
+        }
+
+        // Com o tipo errado as demais regras não fazem sentido
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            errors.push({
+                path,
+                message: `esperado ${this.typeNames[schema.type]}, recebido ${this.typeNames[this.typeOf(value)]}`
+            });
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({
+                path,
+                message: `valor ${JSON.stringify(value)} não permitido (use ${schema.enum.map(item => JSON.stringify(item)).join(', ')})`
+            });
+        }
+
+        if ('const' in schema && value !== schema.const) {
+            errors.push({ path, message: `deve ser ${JSON.stringify(schema.const)}` });
+        }
+
+        if (typeof value === 'number') {
+            if (typeof schema.minimum === 'number' && value < schema.minimum) {
+                errors.push({ path, message: `deve ser maior ou igual a ${schema.minimum}` });
+            }
+            if (typeof schema.maximum === 'number' && value > schema.maximum) {
+                errors.push({ path, message: `deve ser menor ou igual a ${schema.maximum}` });
+            }
+            if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+                errors.push({ path, message: `deve ser maior que ${schema.exclusiveMinimum}` });
+            }
+        }
+
+        if (this.typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    errors.push({ path: this.joinPath(path, key), message: 'campo obrigatório ausente' });
+                }
+            });
+
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (key in value) {
+                    this.check(value[key], propertySchema, this.joinPath(path, key), errors, root);
+                }
+            });
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => this.check(item, schema.items, `${path}[${index}]`, errors, root));
+        }
+
+        (schema.allOf || []).forEach(subschema => this.check(value, subschema, path, errors, root));
+
+        if (schema.if) {
+            const matches = this.validate(value, { ...schema.if, definitions: root.definitions }).length === 0;
+            const branch = matches ? schema.then : schema.else;
+            if (branch) {
+                this.check(value, branch, path, errors, root);
+            }
+        }
+    },
+
+    /**
+     * Verifica o tipo JSON de um valor ('integer' aceita só números inteiros)
+     * @param {*} value - Valor
+     * @param {string} type - Tipo do esquema
+     * @returns {boolean} True se o valor é do tipo
+     */
+    matchesType(value, type) {
+        if (type === 'integer') return Number.isInteger(value);
+        return this.typeOf(value) === type;
+    },
+
+    /**
+     * Obtém o tipo JSON de um valor
+     * @param {*} value - Valor
+     * @returns {string} 'object', 'array', 'string', 'number', 'boolean' ou 'null'
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    },
+
+    /**
+     * Acrescenta um campo ao caminho
+     * @param {string} path - Caminho atual
+     * @param {string} key - Nome do campo
+     * @returns {string} Novo caminho
+     */
+    joinPath(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+};
+
+// Exporta o módulo para uso global
+window.CurveSchema = CurveSchema;
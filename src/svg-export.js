@@ -0,0 +1,212 @@
+/**
+ * Módulo de Exportação SVG
+ * Escreve as curvas como caminhos vetoriais: Béziers quadráticas/cúbicas exatas
+ * quando a matemática permite, ou a polilinha amostrada
+ */
+
+const SvgExport = {
+    // Espaçamento da grade (o mesmo do canvas)
+    gridSize: 20,
+
+    // Casas decimais das coordenadas
+    precision: 3,
+
+    /**
+     * Monta o arquivo SVG de uma cena
+     * @param {Object} scene - {width, height, curves: [{name, color, definitions}], polygon: {points, closed}, labels}
+     * @param {Object} options - {mode: 'exact'|'sampled', controlPolygon, labels, grid, flatness, angle}
+     * @returns {Object} {svg, exact, sampled}: texto do arquivo e quantas definições saíram exatas/amostradas
+     */
+    build(scene, options = {}) {
+        const { width, height } = scene;
+        const groups = [];
+        let exact = 0;
+        let sampled = 0;
+
+        if (options.grid) {
+            groups.push(this.buildGrid(width, height));
+        }
+
+        const paths = [];
+        scene.curves.forEach(curve => {
+            curve.definitions.forEach(definition => {
+                const path = this.pathData(definition, options);
+                if (path.exact) exact++; else sampled++;
+                paths.push(
+                    `    <path d="${path.d}" stroke="${this.escape(curve.color)}" stroke-width="3">` +
+                    `<title>${this.escape(curve.name)}</title></path>`
+                );
+            });
+        });
+        groups.push(`  <g id="curves" fill="none" stroke-linecap="round" stroke-linejoin="round">\n${paths.join('\n')}\n  </g>`);
+
+        if (options.controlPolygon && scene.polygon && scene.polygon.points.length > 0) {
+            groups.push(this.buildControlPolygon(scene.polygon));
+        }
+
+        if (options.labels && scene.labels && scene.labels.length > 0) {
+            groups.push(this.buildLabels(scene.labels));
+        }
+
+        const svg = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            ...groups,
+            '</svg>',
+            ''
+        ].join('\n');
+
+        return { svg, exact, sampled };
+    },
+
+    /**
+     * Escreve o atributo d de uma curva
+     * @param {Object} definition - Definição da curva (ver CurveMath.evaluateCurve)
+     * @param {Object} options - {mode, flatness, angle}
+     * @returns {Object} {d, exact}: exact é falso quando a curva saiu como polilinha
+     */
+    pathData(definition, options = {}) {
+        const pieces = options.mode === 'sampled' ? null : this.bezierPieces(definition);
+
+        if (!pieces) {
+            const points = CurveMath.tessellateCurve(definition, options.flatness, options.angle).points;
+            const commands = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${this.formatPoint(point)}`);
+            return { d: commands.join(' '), exact: false };
+        }
+
+        // Comandos de SVG por grau: L (reta), Q (quadrática) e C (cúbica)
+        const commandByDegree = { 1: 'L', 2: 'Q', 3: 'C' };
+        const commands = [`M${this.formatPoint(pieces[0][0])}`];
+        pieces.forEach(piece => {
+            const rest = piece.slice(1).map(point => this.formatPoint(point)).join(' ');
+            commands.push(`${commandByDegree[piece.length - 1]}${rest}`);
+        });
+        return { d: commands.join(' '), exact: true };
+    },
+
+    /**
+     * Decompõe uma curva em Béziers de grau até 3 com a mesma forma
+     * @param {Object} definition - Definição da curva (ver CurveMath.evaluateCurve)
+     * @returns {Array|null} Pontos de controle de cada trecho, ou null se a curva
+     *          é racional ou tem grau maior que 3 (o SVG não tem comandos para elas)
+     */
+    bezierPieces(definition) {
+        let pieces;
+        if (definition.type === 'spline') {
+            if (definition.degree > 3 || this.isRational(definition.controlPoints)) return null;
+            pieces = CurveMath.bSplineToBezier(definition.controlPoints, definition.degree, definition.knots).segments;
+        } else if (definition.type === 'path') {
+            pieces = definition.segments;
+        } else {
+            pieces = [definition.controlPoints];
+        }
+
+        const representable = pieces.length > 0 && pieces.every(piece =>
+            piece.length >= 2 && piece.length <= 4 && !this.isRational(piece)
+        );
+        return representable ? pieces : null;
+    },
+
+    /**
+     * Verifica se os pesos dos pontos tornam a curva racional
+     * (pesos todos iguais dão a mesma curva polinomial)
+     * @param {Array} points - Pontos de controle {x, y, weight}
+     * @returns {boolean} True se há pesos diferentes
+     */
+    isRational(points) {
+        const first = points.length > 0 ? points[0].weight || 1 : 1;
+        return points.some(point => Math.abs((point.weight || 1) - first) > 1e-9);
+    },
+
+    /**
+     * Monta o grupo da grade de fundo
+     * @param {number} width - Largura do desenho
+     * @param {number} height - Altura do desenho
+     * @returns {string} Grupo SVG
+     */
+    buildGrid(width, height) {
+        const lines = [];
+        for (let x = 0; x <= width; x += this.gridSize) lines.push(`M${x} 0V${height}`);
+        for (let y = 0; y <= height; y += this.gridSize) lines.push(`M0 ${y}H${width}`);
+
+        return `  <g id="grid" fill="none" stroke="#e0e0e0" stroke-width="0.5">\n    <path d="${lines.join('')}"/>\n  </g>`;
+    },
+
+    /**
+     * Monta o grupo do polígono de controle (linhas tracejadas e os pontos)
+     * @param {Object} polygon - {points, closed}
+     * @returns {string} Grupo SVG
+     */
+    buildControlPolygon(polygon) {
+        const { points, closed } = polygon;
+        const elements = [];
+
+        if (points.length > 1) {
+            const tag = closed ? 'polygon' : 'polyline';
+            const coordinates = points.map(point => this.formatPoint(point, ',')).join(' ');
+            elements.push(`    <${tag} points="${coordinates}" fill="none" stroke="#bbb" stroke-width="1" stroke-dasharray="5 5"/>`);
+        }
+
+        points.forEach(point => {
+            elements.push(`    <circle cx="${this.format(point.x)}" cy="${this.format(point.y)}" r="4" fill="#667eea" stroke="#4a5dc7" stroke-width="1"/>`);
+        });
+
+        return `  <g id="control-polygon">\n${elements.join('\n')}\n  </g>`;
+    },
+
+    /**
+     * Monta o grupo dos rótulos dos pontos (mesmo texto do canvas: Pn (x, y) e o peso)
+     * @param {Array} points - Pontos rotulados {x, y, weight}
+     * @returns {string} Grupo SVG
+     */
+    buildLabels(points) {
+        const texts = [];
+        points.forEach((point, index) => {
+            const x = this.format(point.x + 15);
+            const y = this.format(point.y - 15);
+            texts.push(`    <text x="${x}" y="${y}">P${index + 1} (${Math.round(point.x)}, ${Math.round(point.y)})</text>`);
+
+            const weight = point.weight || 1;
+            if (weight !== 1) {
+                texts.push(`    <text x="${x}" y="${this.format(point.y - 3)}">w: ${weight.toFixed(1)}</text>`);
+            }
+        });
+
+        return `  <g id="point-labels" font-family="Arial, sans-serif" font-size="11" fill="#333">\n${texts.join('\n')}\n  </g>`;
+    },
+
+    /**
+     * Formata um ponto para atributos SVG
+     * @param {Object} point - Ponto {x, y}
+     * @param {string} separator - Separador entre x e y
+     * @returns {string} "x y"
+     */
+    formatPoint(point, separator = ' ') {
+        return `${this.format(point.x)}${separator}${this.format(point.y)}`;
+    },
+
+    /**
+     * Arredonda uma coordenada sem zeros à direita
+     * @param {number} value - Coordenada
+     * @returns {string} Número formatado
+     */
+    format(value) {
+        return String(Number(value.toFixed(this.precision)));
+    },
+
+    /**
+     * Escapa texto para uso em XML
+     * @param {string} text - Texto
+     * @returns {string} Texto escapado
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
+
+// Exporta o módulo para uso global
+window.SvgExport = SvgExport;
@@ -11,6 +11,23 @@ const UI = {
     hoveredPointIndex: -1,
     lastClickTime: 0,
     doubleClickDelay: 300,
+
+    // Checkboxes que espelham configurações booleanas (id do elemento → chave)
+    settingToggles: {
+        'show-basis-plot': 'showBasisPlot',
+        'spline-closed': 'splineClosed',
+        'arc-length-sampling': 'arcLengthSampling',
+        'show-tangents': 'showTangents',
+        'show-curvature-comb': 'showCurvatureComb',
+        'show-inflections': 'showInflections',
+        'show-intersections': 'showIntersections',
+        'show-offset': 'showOffset',
+        'spline-bezier-decomposition': 'showBezierDecomposition',
+        'persist-history': 'persistHistory',
+        'svg-control-polygon': 'svgControlPolygon',
+        'svg-labels': 'svgLabels',
+        'svg-grid': 'svgGrid'
+    },
     
     // Callbacks para eventos
     onPointAdd: null,
@@ -20,6 +37,38 @@ const UI = {
     onMouseMove: null,
     onFindPointAt: null,
     onSplineParameterChange: null,
+    onKnotPresetChange: null,
+    onKnotValueChange: null,
+    onSplitParameterChange: null,
+    onCurvePick: null,
+    onCurveInsert: null,
+    onMouseLeave: null,
+    onContextMenu: null,
+    onSegmentActivate: null,
+    onSegmentRemove: null,
+    onConstructionChange: null,
+    onSettingToggle: null,
+    onCatmullRomParameterChange: null,
+    onSketchStart: null,
+    onSketchMove: null,
+    onSketchEnd: null,
+    onSketchToleranceChange: null,
+    onOverlayParameterChange: null,
+    onTessellationChange: null,
+    onOffsetChange: null,
+    onCurveSelect: null,
+    onCurveChange: null,
+    onCurveMove: null,
+    onCurveRemove: null,
+    onImportFile: null,
+    onSvgOptionsChange: null,
+    onUndo: null,
+    onRedo: null,
+    onDragStart: null,
+    onDragEnd: null,
+    curvePickMode: false,
+    sketchMode: false,
+    isSketching: false,
 
     /**
      * Inicializa o sistema de UI
@@ -35,6 +84,35 @@ const UI = {
         this.onMouseMove = callbacks.onMouseMove || (() => {});
         this.onFindPointAt = callbacks.onFindPointAt || null;
         this.onSplineParameterChange = callbacks.onSplineParameterChange || (() => {});
+        this.onKnotPresetChange = callbacks.onKnotPresetChange || (() => {});
+        this.onKnotValueChange = callbacks.onKnotValueChange || (() => {});
+        this.onSplitParameterChange = callbacks.onSplitParameterChange || (() => {});
+        this.onCurvePick = callbacks.onCurvePick || (() => {});
+        this.onCurveInsert = callbacks.onCurveInsert || (() => {});
+        this.onMouseLeave = callbacks.onMouseLeave || (() => {});
+        this.onContextMenu = callbacks.onContextMenu || (() => {});
+        this.onSegmentActivate = callbacks.onSegmentActivate || (() => {});
+        this.onSegmentRemove = callbacks.onSegmentRemove || (() => {});
+        this.onConstructionChange = callbacks.onConstructionChange || (() => {});
+        this.onSettingToggle = callbacks.onSettingToggle || (() => {});
+        this.onCatmullRomParameterChange = callbacks.onCatmullRomParameterChange || (() => {});
+        this.onSketchStart = callbacks.onSketchStart || (() => {});
+        this.onSketchMove = callbacks.onSketchMove || (() => {});
+        this.onSketchEnd = callbacks.onSketchEnd || (() => {});
+        this.onSketchToleranceChange = callbacks.onSketchToleranceChange || (() => {});
+        this.onOverlayParameterChange = callbacks.onOverlayParameterChange || (() => {});
+        this.onTessellationChange = callbacks.onTessellationChange || (() => {});
+        this.onOffsetChange = callbacks.onOffsetChange || (() => {});
+        this.onCurveSelect = callbacks.onCurveSelect || (() => {});
+        this.onCurveChange = callbacks.onCurveChange || (() => {});
+        this.onCurveMove = callbacks.onCurveMove || (() => {});
+        this.onCurveRemove = callbacks.onCurveRemove || (() => {});
+        this.onImportFile = callbacks.onImportFile || (() => {});
+        this.onSvgOptionsChange = callbacks.onSvgOptionsChange || (() => {});
+        this.onUndo = callbacks.onUndo || (() => {});
+        this.onRedo = callbacks.onRedo || (() => {});
+        this.onDragStart = callbacks.onDragStart || (() => {});
+        this.onDragEnd = callbacks.onDragEnd || (() => {});
 
         this.setupEventListeners();
         this.setupControlListeners();
@@ -51,8 +129,17 @@ const UI = {
         this.canvas.addEventListener('mouseleave', (e) => this.handleMouseLeave(e));
         this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
         
-        // Previne menu de contexto
-        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        // Arquivos JSON soltos sobre o canvas são importados
+        this.canvas.addEventListener('dragover', (e) => this.handleDragOver(e));
+        this.canvas.addEventListener('dragleave', () => this.canvas.classList.remove('drag-over'));
+        this.canvas.addEventListener('drop', (e) => this.handleDrop(e));
+
+        // Substitui o menu de contexto do navegador pelo menu da curva
+        this.canvas.addEventListener('contextmenu', (e) => this.handleContextMenu(e));
+        document.addEventListener('mousedown', (e) => {
+            const menu = document.getElementById('canvas-context-menu');
+            if (menu && !menu.contains(e.target)) this.hideContextMenu();
+        });
         
         // Eventos de teclado
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
@@ -125,6 +212,195 @@ const UI = {
                 }
             });
         }
+
+        // Modo de edição e parametrização da interpolação
+        const splineMode = document.getElementById('spline-mode');
+        if (splineMode) {
+            splineMode.addEventListener('change', (e) => {
+                this.onSplineParameterChange({ mode: e.target.value });
+            });
+        }
+
+        const splineInterpolation = document.getElementById('spline-interpolation');
+        if (splineInterpolation) {
+            splineInterpolation.addEventListener('change', (e) => {
+                this.onSplineParameterChange({ interpolation: e.target.value });
+            });
+        }
+
+        // Controles de divisão da curva de Bézier
+        const splitT = document.getElementById('split-t');
+        if (splitT) {
+            splitT.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                if (!Number.isNaN(value)) {
+                    this.onSplitParameterChange({ t: value });
+                }
+            });
+        }
+
+        const splitPreview = document.getElementById('split-preview');
+        if (splitPreview) {
+            splitPreview.addEventListener('change', (e) => {
+                this.onSplitParameterChange({ preview: e.target.checked });
+            });
+        }
+
+        // Controles da spline de Catmull-Rom / Kochanek–Bartels
+        const parameterization = document.getElementById('catmullrom-parameterization');
+        if (parameterization) {
+            parameterization.addEventListener('change', (e) => {
+                this.onCatmullRomParameterChange({ parameterization: e.target.value });
+            });
+        }
+
+        ['tension', 'bias', 'continuity'].forEach(name => {
+            const slider = document.getElementById(`catmullrom-${name}`);
+            if (slider) {
+                slider.addEventListener('input', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (!Number.isNaN(value)) {
+                        this.onCatmullRomParameterChange({ [name]: value });
+                    }
+                });
+            }
+        });
+
+        // Tolerância do ajuste do desenho à mão livre
+        const sketchTolerance = document.getElementById('sketch-tolerance');
+        if (sketchTolerance) {
+            sketchTolerance.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                if (!Number.isNaN(value)) {
+                    this.onSketchToleranceChange(value);
+                }
+            });
+        }
+
+        // Parâmetros dos referenciais e escala do pente de curvatura
+        const frameParameters = document.getElementById('frame-parameters');
+        if (frameParameters) {
+            frameParameters.addEventListener('change', (e) => {
+                const values = e.target.value.split(/[\s,;]+/)
+                    .filter(text => text !== '')
+                    .map(text => parseFloat(text));
+                this.onOverlayParameterChange({ frameParameters: values });
+            });
+        }
+
+        const combScale = document.getElementById('comb-scale');
+        if (combScale) {
+            combScale.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                if (!Number.isNaN(value)) {
+                    this.onOverlayParameterChange({ combScale: value });
+                }
+            });
+        }
+
+        // Modo e tolerâncias da tesselação
+        const tessellationMode = document.getElementById('tessellation-mode');
+        if (tessellationMode) {
+            tessellationMode.addEventListener('change', (e) => {
+                this.onTessellationChange({ mode: e.target.value });
+            });
+        }
+
+        ['flatness', 'angle'].forEach(name => {
+            const slider = document.getElementById(`${name}-tolerance`);
+            if (slider) {
+                slider.addEventListener('input', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (!Number.isNaN(value)) {
+                        this.onTessellationChange({ [name]: value });
+                    }
+                });
+            }
+        });
+
+        // Distância e lado da curva paralela
+        const offsetDistance = document.getElementById('offset-distance');
+        if (offsetDistance) {
+            offsetDistance.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (!Number.isNaN(value)) {
+                    this.onOffsetChange({ distance: value });
+                }
+            });
+        }
+
+        const offsetSide = document.getElementById('offset-side');
+        if (offsetSide) {
+            offsetSide.addEventListener('change', (e) => {
+                this.onOffsetChange({ side: e.target.value });
+            });
+        }
+
+        // Modo da exportação SVG (Béziers exatas ou polilinha amostrada)
+        const svgMode = document.getElementById('svg-mode');
+        if (svgMode) {
+            svgMode.addEventListener('change', (e) => {
+                this.onSvgOptionsChange({ mode: e.target.value });
+            });
+        }
+
+        // Arquivo escolhido em "Importar JSON" (o valor é limpo para aceitar o mesmo arquivo de novo)
+        const importFile = document.getElementById('import-file');
+        if (importFile) {
+            importFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.onImportFile(file);
+            });
+        }
+
+        // Checkboxes ligados diretamente a configurações booleanas
+        Object.entries(this.settingToggles).forEach(([id, key]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('change', (e) => {
+                    this.onSettingToggle(key, e.target.checked);
+                });
+            }
+        });
+
+        // Controles da visualização da construção (um conjunto por aba)
+        ['bezier', 'spline'].forEach(prefix => {
+            const constructionToggle = document.getElementById(`${prefix}-construction`);
+            if (constructionToggle) {
+                constructionToggle.addEventListener('change', (e) => {
+                    this.onConstructionChange({ enabled: e.target.checked });
+                });
+            }
+
+            const constructionT = document.getElementById(`${prefix}-construction-t`);
+            if (constructionT) {
+                constructionT.addEventListener('input', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (!Number.isNaN(value)) {
+                        this.onConstructionChange({ t: value });
+                    }
+                });
+            }
+        });
+
+        // Controles do vetor de nós
+        const knotPreset = document.getElementById('knot-preset');
+        if (knotPreset) {
+            knotPreset.addEventListener('change', (e) => {
+                this.onKnotPresetChange(e.target.value);
+            });
+        }
+
+        const knotValue = document.getElementById('knot-value');
+        if (knotValue) {
+            knotValue.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (!Number.isNaN(value)) {
+                    this.onKnotValueChange(value);
+                }
+            });
+        }
     },
 
     /**
@@ -132,8 +408,30 @@ const UI = {
      * @param {MouseEvent} e - Evento de mouse
      */
     handleMouseDown(e) {
+        // Só o botão esquerdo edita; o direito abre o menu de contexto
+        if (e.button !== 0) return;
+
         const coords = Renderer.getCanvasCoordinates(e.clientX, e.clientY);
         const currentTime = Date.now();
+
+        // Modo de escolha de parâmetro: o clique seleciona t na curva
+        if (this.curvePickMode) {
+            this.onCurvePick(coords);
+            return;
+        }
+
+        // Modo de desenho: o arrasto forma um traço em vez de adicionar um ponto
+        if (this.sketchMode) {
+            this.isSketching = true;
+            this.onSketchStart(coords);
+            return;
+        }
+        
+        // Shift + clique sobre a curva insere um ponto na posição certa da sequência
+        if (e.shiftKey) {
+            this.onCurveInsert(coords);
+            return;
+        }
         
         // Verifica se clicou em um ponto existente
         const pointIndex = this.findPointAt(coords);
@@ -150,6 +448,9 @@ const UI = {
                 this.handleDoubleClick(e);
                 return;
             }
+
+            // O arrasto inteiro vira um único passo do histórico
+            this.onDragStart();
         } else {
             // Clicou no espaço vazio - adiciona novo ponto
             this.onPointAdd(coords.x, coords.y);
@@ -170,7 +471,9 @@ const UI = {
         // Atualiza callback de movimento do mouse
         this.onMouseMove(coords);
 
-        if (this.isDragging && this.selectedPointIndex >= 0) {
+        if (this.isSketching) {
+            this.onSketchMove(coords);
+        } else if (this.isDragging && this.selectedPointIndex >= 0) {
             // Arrasta ponto selecionado
             this.onPointMove(this.selectedPointIndex, coords.x, coords.y);
             this.updatePointInputs(this.selectedPointIndex, coords.x, coords.y);
@@ -190,7 +493,8 @@ const UI = {
      * @param {MouseEvent} e - Evento de mouse
      */
     handleMouseUp(e) {
-        this.isDragging = false;
+        this.finishSketch();
+        this.finishDrag();
         this.dragStartPoint = null;
         this.canvas.style.cursor = this.hoveredPointIndex >= 0 ? 'pointer' : 'crosshair';
     },
@@ -200,9 +504,97 @@ const UI = {
      * @param {MouseEvent} e - Evento de mouse
      */
     handleMouseLeave(e) {
-        this.isDragging = false;
+        this.finishSketch();
+        this.finishDrag();
         this.hoveredPointIndex = -1;
         this.canvas.style.cursor = 'crosshair';
+        this.onMouseLeave();
+    },
+
+    /**
+     * Encerra o traço em andamento (se houver) e pede o ajuste da curva
+     */
+    finishSketch() {
+        if (!this.isSketching) return;
+
+        this.isSketching = false;
+        this.onSketchEnd();
+    },
+
+    /**
+     * Encerra o arrasto de ponto em andamento (se houver)
+     */
+    finishDrag() {
+        if (!this.isDragging) return;
+
+        this.isDragging = false;
+        this.onDragEnd();
+    },
+
+    /**
+     * Destaca o canvas enquanto um arquivo é arrastado sobre ele
+     * @param {DragEvent} e - Evento de arrasto
+     */
+    handleDragOver(e) {
+        e.preventDefault();
+        if (e.dataTransfer) e.dataTransfer.dropEffect = 'copy';
+        this.canvas.classList.add('drag-over');
+    },
+
+    /**
+     * Importa o arquivo solto sobre o canvas
+     * @param {DragEvent} e - Evento de soltar
+     */
+    handleDrop(e) {
+        e.preventDefault();
+        this.canvas.classList.remove('drag-over');
+
+        const file = e.dataTransfer && e.dataTransfer.files[0];
+        if (file) this.onImportFile(file);
+    },
+
+    /**
+     * Abre o menu de contexto do canvas na posição do clique
+     * @param {MouseEvent} e - Evento de mouse
+     */
+    handleContextMenu(e) {
+        e.preventDefault();
+        this.finishDrag();
+        this.contextMenuPosition = { x: e.clientX, y: e.clientY };
+        this.onContextMenu(Renderer.getCanvasCoordinates(e.clientX, e.clientY));
+    },
+
+    /**
+     * Mostra o menu de contexto com as ações disponíveis
+     * @param {Array} items - Ações {label, action}
+     */
+    showContextMenu(items) {
+        const menu = document.getElementById('canvas-context-menu');
+        if (!menu || items.length === 0) return;
+
+        menu.innerHTML = '';
+        items.forEach(item => {
+            const button = document.createElement('button');
+            button.textContent = item.label;
+            button.addEventListener('click', () => {
+                this.hideContextMenu();
+                item.action();
+            });
+            menu.appendChild(button);
+        });
+
+        const position = this.contextMenuPosition || { x: 0, y: 0 };
+        menu.style.left = `${position.x}px`;
+        menu.style.top = `${position.y}px`;
+        menu.style.display = 'block';
+    },
+
+    /**
+     * Esconde o menu de contexto
+     */
+    hideContextMenu() {
+        const menu = document.getElementById('canvas-context-menu');
+        if (menu) menu.style.display = 'none';
     },
 
     /**
@@ -226,6 +618,20 @@ const UI = {
      * @param {KeyboardEvent} e - Evento de teclado
      */
     handleKeyDown(e) {
+        // Ctrl+Z / Ctrl+Shift+Z (ou Ctrl+Y); nos campos de texto vale o desfazer do navegador
+        if ((e.ctrlKey || e.metaKey) && !this.isTextInput(e.target)) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) {
+                    this.onRedo();
+                } else {
+                    this.onUndo();
+                }
+                return;
+            }
+        }
+
         switch (e.key) {
             case 'Delete':
             case 'Backspace':
@@ -237,6 +643,7 @@ const UI = {
                 break;
                 
             case 'Escape':
+                this.hideContextMenu();
                 this.selectedPointIndex = -1;
                 this.updateControlsState();
                 break;
@@ -263,6 +670,17 @@ const UI = {
         }
     },
 
+    /**
+     * Verifica se o elemento recebe texto (e tem desfazer próprio)
+     * @param {Element} element - Alvo do evento
+     * @returns {boolean} True para campos de texto e número
+     */
+    isTextInput(element) {
+        if (!element) return false;
+        if (element.tagName === 'TEXTAREA') return true;
+        return element.tagName === 'INPUT' && ['text', 'number', 'search'].includes(element.type);
+    },
+
     /**
      * Move o ponto selecionado
      * @param {number} deltaX - Movimento em X
@@ -448,8 +866,7 @@ const UI = {
         if (type === 'bezier') {
             const degreeElement = document.getElementById('bezier-degree');
             if (degreeElement) {
-                const displayDegree = Math.max(1, degree + 1);
-                degreeElement.textContent = displayDegree;
+                degreeElement.textContent = Math.max(0, degree);
             }
         }
     },
@@ -475,6 +892,401 @@ const UI = {
         if (stepValue && typeof settings.splineStep === 'number') {
             stepValue.textContent = settings.splineStep.toFixed(3);
         }
+
+        Object.entries(this.settingToggles).forEach(([id, key]) => {
+            const element = document.getElementById(id);
+            if (element) element.checked = Boolean(settings[key]);
+        });
+
+        const svgMode = document.getElementById('svg-mode');
+        if (svgMode) svgMode.value = settings.svgMode;
+
+        // Curvas interpoladas são sempre abertas
+        const interpolating = settings.splineMode === 'interpolate';
+        const modeSelect = document.getElementById('spline-mode');
+        if (modeSelect) modeSelect.value = settings.splineMode;
+
+        const interpolationSelect = document.getElementById('spline-interpolation');
+        if (interpolationSelect) {
+            interpolationSelect.value = settings.splineInterpolation;
+            interpolationSelect.disabled = !interpolating;
+        }
+
+        const closedToggle = document.getElementById('spline-closed');
+        if (closedToggle) closedToggle.disabled = interpolating;
+    },
+
+    /**
+     * Mantém os controles de Catmull-Rom sincronizados com as configurações atuais
+     * @param {Object} options - {parameterization, tension, bias, continuity}
+     */
+    updateCatmullRomControls(options) {
+        const parameterization = document.getElementById('catmullrom-parameterization');
+        if (parameterization) {
+            parameterization.value = options.parameterization;
+        }
+
+        ['tension', 'bias', 'continuity'].forEach(name => {
+            const slider = document.getElementById(`catmullrom-${name}`);
+            const value = document.getElementById(`catmullrom-${name}-value`);
+            if (slider) slider.value = options[name];
+            if (value) value.textContent = options[name].toFixed(2);
+        });
+    },
+
+    /**
+     * Mantém os controles do vetor de nós sincronizados
+     * @param {Array} knots - Vetor de nós atual (null se indisponível)
+     * @param {number} selectedIndex - Índice do nó selecionado na régua
+     * @param {string} knotType - Preset atual
+     * @param {boolean} locked - Se o vetor é periódico e não pode ser editado
+     */
+    updateKnotControls(knots, selectedIndex, knotType, locked = false) {
+        const hasSelection = !locked && Array.isArray(knots) && selectedIndex >= 0 && selectedIndex < knots.length;
+
+        const knotPreset = document.getElementById('knot-preset');
+        if (knotPreset && knotType) {
+            knotPreset.value = knotType;
+            knotPreset.disabled = locked;
+        }
+
+        ['knot-insert', 'knot-remove'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.disabled = locked;
+        });
+
+        const knotValue = document.getElementById('knot-value');
+        if (knotValue) {
+            knotValue.disabled = !hasSelection;
+            knotValue.value = hasSelection ? knots[selectedIndex].toFixed(3) : '';
+        }
+
+        ['knot-multiplicity-up', 'knot-multiplicity-down'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.disabled = !hasSelection;
+        });
+
+        const knotVector = document.getElementById('knot-vector');
+        if (knotVector) {
+            const values = Array.isArray(knots) ? knots.map(knot => knot.toFixed(3)).join(', ') : '';
+            knotVector.textContent = `[ ${values} ]`;
+        }
+    },
+
+    /**
+     * Lê os parâmetros das operações de inserção/remoção de nós
+     * @returns {Object} {t, tolerance}
+     */
+    getKnotOperationParams() {
+        const tInput = document.getElementById('knot-insert-t');
+        const toleranceInput = document.getElementById('knot-remove-tolerance');
+        const t = tInput ? parseFloat(tInput.value) : NaN;
+        const tolerance = toleranceInput ? parseFloat(toleranceInput.value) : NaN;
+
+        return {
+            t,
+            tolerance: Number.isNaN(tolerance) ? 1 : Math.max(0, tolerance)
+        };
+    },
+
+    /**
+     * Mostra o resultado da última operação sobre nós
+     * @param {string} message - Mensagem a exibir
+     */
+    showKnotOperationResult(message) {
+        const element = document.getElementById('knot-operation-result');
+        if (element) element.textContent = message;
+    },
+
+    /**
+     * Mostra o resultado da última operação de grau da Bézier
+     * @param {string} message - Mensagem a exibir
+     */
+    showDegreeResult(message) {
+        const element = document.getElementById('bezier-degree-result');
+        if (element) element.textContent = message;
+    },
+
+    /**
+     * Obtém o modo de divisão escolhido
+     * @returns {string} 'both', 'left' ou 'right'
+     */
+    getSplitMode() {
+        const splitMode = document.getElementById('split-mode');
+        return splitMode ? splitMode.value : 'both';
+    },
+
+    /**
+     * Mantém os controles de divisão sincronizados
+     * @param {Object} split - Estado da divisão {t, preview, picking}
+     */
+    updateSplitControls(split) {
+        const splitT = document.getElementById('split-t');
+        if (splitT) splitT.value = split.t;
+
+        const splitTValue = document.getElementById('split-t-value');
+        if (splitTValue) splitTValue.textContent = split.t.toFixed(2);
+
+        const splitPreview = document.getElementById('split-preview');
+        if (splitPreview) splitPreview.checked = split.preview;
+
+        const splitPick = document.getElementById('split-pick');
+        if (splitPick) splitPick.classList.toggle('active', split.picking);
+
+        this.curvePickMode = split.picking;
+        if (this.canvas && split.picking) {
+            this.canvas.style.cursor = 'copy';
+        }
+    },
+
+    /**
+     * Mantém os controles do desenho à mão livre sincronizados
+     * @param {boolean} active - Se o modo de desenho está ligado
+     * @param {number} tolerance - Tolerância do ajuste em pixels
+     */
+    updateSketchControls(active, tolerance) {
+        const toggle = document.getElementById('sketch-toggle');
+        if (toggle) toggle.classList.toggle('active', active);
+
+        const toleranceInput = document.getElementById('sketch-tolerance');
+        if (toleranceInput) toleranceInput.value = tolerance;
+
+        const toleranceValue = document.getElementById('sketch-tolerance-value');
+        if (toleranceValue) toleranceValue.textContent = tolerance.toFixed(1);
+
+        this.sketchMode = active;
+        if (this.canvas && active) {
+            this.canvas.style.cursor = 'crosshair';
+        }
+    },
+
+    /**
+     * Mantém os controles da sobreposição de geometria diferencial sincronizados
+     * @param {Object} settings - Configurações atuais
+     */
+    updateOverlayControls(settings) {
+        const frameParameters = document.getElementById('frame-parameters');
+        if (frameParameters && document.activeElement !== frameParameters) {
+            frameParameters.value = settings.frameParameters.join(', ');
+        }
+
+        const combScale = document.getElementById('comb-scale');
+        if (combScale) combScale.value = settings.combScale;
+
+        const combScaleValue = document.getElementById('comb-scale-value');
+        if (combScaleValue) combScaleValue.textContent = settings.combScale.toFixed(1);
+    },
+
+    /**
+     * Mantém os controles de tesselação sincronizados e mostra quantos segmentos foram gerados
+     * @param {Object} options - {mode, flatness, angle}
+     * @param {number} segmentCount - Número de segmentos da polilinha atual
+     */
+    updateTessellationControls(options, segmentCount) {
+        const adaptive = options.mode === 'adaptive';
+
+        const mode = document.getElementById('tessellation-mode');
+        if (mode) mode.value = options.mode;
+
+        const decimals = { flatness: 2, angle: 0 };
+        ['flatness', 'angle'].forEach(name => {
+            const slider = document.getElementById(`${name}-tolerance`);
+            const value = document.getElementById(`${name}-tolerance-value`);
+            if (slider) {
+                slider.value = options[name];
+                slider.disabled = !adaptive;
+            }
+            if (value) value.textContent = options[name].toFixed(decimals[name]);
+        });
+
+        const segments = document.getElementById('tessellation-segments');
+        if (segments) segments.textContent = `Segmentos: ${segmentCount}`;
+    },
+
+    /**
+     * Mostra o resultado do último ajuste de traço
+     * @param {string} message - Mensagem a exibir
+     */
+    showSketchResult(message) {
+        const element = document.getElementById('sketch-result');
+        if (element) element.textContent = message;
+    },
+
+    /**
+     * Mantém os controles da visualização da construção sincronizados
+     * @param {Object} construction - Estado {enabled, t, playing}
+     */
+    updateConstructionControls(construction) {
+        ['bezier', 'spline'].forEach(prefix => {
+            const constructionToggle = document.getElementById(`${prefix}-construction`);
+            if (constructionToggle) constructionToggle.checked = construction.enabled;
+
+            const constructionT = document.getElementById(`${prefix}-construction-t`);
+            if (constructionT) constructionT.value = construction.t;
+
+            const constructionTValue = document.getElementById(`${prefix}-construction-t-value`);
+            if (constructionTValue) constructionTValue.textContent = construction.t.toFixed(3);
+
+            const playButton = document.getElementById(`${prefix}-construction-play`);
+            if (playButton) {
+                playButton.textContent = construction.playing ? '⏸ Pausar' : '▶ Animar';
+                playButton.classList.toggle('active', construction.playing);
+            }
+        });
+    },
+
+    /**
+     * Mostra quais nós e pontos participam da avaliação de De Boor
+     * @param {Object|null} steps - Resultado de CurveMath.deBoorSteps
+     * @param {number|null} visibleLevels - Quantos níveis estão visíveis (null = todos)
+     */
+    updateDeBoorInfo(steps, visibleLevels) {
+        const element = document.getElementById('spline-construction-info');
+        if (!element) return;
+
+        if (!steps) {
+            element.textContent = '';
+            return;
+        }
+
+        const degree = steps.levels.length - 1;
+        const level = visibleLevels === null ? degree : visibleLevels;
+        const points = steps.influencingIndices.map(index => `P${index + 1}`).join(', ');
+
+        element.textContent =
+            `u = ${steps.t.toFixed(3)} ∈ [u${steps.span}, u${steps.span + 1}) = ` +
+            `[${steps.spanRange[0].toFixed(3)}, ${steps.spanRange[1].toFixed(3)}) — ` +
+            `pontos ${points} — nível ${level}/${degree}`;
+    },
+
+    /**
+     * Atualiza a lista de curvas da aba de Bézier
+     * @param {Array} activePoints - Pontos da curva em edição
+     * @param {Array} segments - Curvas secundárias
+     */
+    updateBezierSegmentsList(activePoints, segments) {
+        const container = document.getElementById('bezier-segments');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const activeElement = document.createElement('div');
+        activeElement.className = 'segment-item active';
+        activeElement.textContent = `Em edição (${activePoints.length} pontos)`;
+        container.appendChild(activeElement);
+
+        segments.forEach((points, index) => {
+            const segmentElement = document.createElement('div');
+            segmentElement.className = 'segment-item';
+            segmentElement.innerHTML = `<span>Curva ${index + 2} (${points.length} pontos)</span>`;
+
+            const editButton = document.createElement('button');
+            editButton.textContent = 'Editar';
+            editButton.addEventListener('click', () => this.onSegmentActivate(index));
+
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Remover';
+            removeButton.addEventListener('click', () => this.onSegmentRemove(index));
+
+            segmentElement.appendChild(editButton);
+            segmentElement.appendChild(removeButton);
+            container.appendChild(segmentElement);
+        });
+    },
+
+    /**
+     * Atualiza a lista de curvas do documento (clicar numa linha passa a editá-la)
+     * @param {Array} curves - Itens {id, name, typeName, color, visible, locked, active, pointCount}
+     */
+    updateCurvesList(curves) {
+        const container = document.getElementById('curves-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        curves.forEach((curve, index) => {
+            const item = document.createElement('div');
+            item.className = 'curve-item';
+            item.classList.toggle('active', curve.active);
+            item.classList.toggle('hidden', !curve.visible);
+            item.style.borderLeftColor = curve.color;
+            item.addEventListener('click', () => this.onCurveSelect(curve.id));
+
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = curve.color;
+            color.title = 'Cor';
+            color.addEventListener('change', () => this.onCurveChange(curve.id, { color: color.value }));
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'curve-name';
+            name.value = curve.name;
+            name.title = 'Nome';
+            name.addEventListener('change', () => this.onCurveChange(curve.id, { name: name.value }));
+
+            const info = document.createElement('span');
+            info.className = 'curve-info';
+            info.textContent = `${curve.typeName} · ${curve.pointCount} pontos`;
+
+            const visible = this.createCurveToggle('👁', 'Visível', curve.visible,
+                value => this.onCurveChange(curve.id, { visible: value }));
+            const locked = this.createCurveToggle('🔒', 'Bloqueada', curve.locked,
+                value => this.onCurveChange(curve.id, { locked: value }));
+
+            const up = this.createCurveButton('↑', 'Desenhar antes', index === 0, () => this.onCurveMove(curve.id, -1));
+            const down = this.createCurveButton('↓', 'Desenhar depois', index === curves.length - 1,
+                () => this.onCurveMove(curve.id, 1));
+            const remove = this.createCurveButton('✕', 'Excluir curva', false, () => this.onCurveRemove(curve.id));
+
+            // Controles da linha não mudam a curva em edição
+            [color, name, visible, locked, up, down, remove].forEach(element => {
+                element.addEventListener('click', (e) => e.stopPropagation());
+                item.appendChild(element);
+            });
+            item.insertBefore(info, visible);
+
+            container.appendChild(item);
+        });
+    },
+
+    /**
+     * Cria um checkbox rotulado da lista de curvas
+     * @param {string} icon - Rótulo do checkbox
+     * @param {string} title - Dica do checkbox
+     * @param {boolean} checked - Estado inicial
+     * @param {Function} onChange - Recebe o novo estado
+     * @returns {HTMLLabelElement} Elemento criado
+     */
+    createCurveToggle(icon, title, checked, onChange) {
+        const label = document.createElement('label');
+        label.title = title;
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = checked;
+        input.addEventListener('change', () => onChange(input.checked));
+
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(` ${icon}`));
+        return label;
+    },
+
+    /**
+     * Cria um botão da lista de curvas
+     * @param {string} text - Texto do botão
+     * @param {string} title - Dica do botão
+     * @param {boolean} disabled - Se o botão fica desabilitado
+     * @param {Function} onClick - Ação do botão
+     * @returns {HTMLButtonElement} Elemento criado
+     */
+    createCurveButton(text, title, disabled, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
     },
 
     /**
@@ -488,6 +1300,141 @@ const UI = {
         }
     },
 
+    /**
+     * Mantém os controles da curva paralela sincronizados e mostra o resultado da aproximação
+     * @param {Object} settings - Configurações atuais
+     * @param {Object|null} offset - Resultado de CurveMath.offsetCurve (null se desligado)
+     */
+    updateOffsetControls(settings, offset) {
+        const distance = document.getElementById('offset-distance');
+        if (distance) distance.value = settings.offsetDistance;
+
+        const side = document.getElementById('offset-side');
+        if (side) side.value = settings.offsetSide;
+
+        const add = document.getElementById('offset-add');
+        if (add) add.disabled = !offset || offset.segments.length === 0;
+
+        const result = document.getElementById('offset-result');
+        if (result) {
+            result.textContent = offset
+                ? `${offset.segments.length} cúbicas, erro máx. ${offset.error.toFixed(3)} px` +
+                    (offset.cusps.length > 0 ? `, ${offset.cusps.length} cúspides, laços recortados: ${offset.loops}` : '')
+                : '';
+        }
+    },
+
+    /**
+     * Lista as interseções encontradas
+     * @param {Array|null} intersections - Interseções {t1, t2, x, y, first, second} (null se a busca está desligada)
+     */
+    updateIntersectionsList(intersections) {
+        const container = document.getElementById('intersections-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (intersections === null) return;
+
+        if (intersections.length === 0) {
+            container.textContent = 'Nenhuma interseção encontrada';
+            return;
+        }
+
+        intersections.forEach((hit, index) => {
+            const row = document.createElement('div');
+            row.className = 'intersection-item';
+            const curves = hit.first === hit.second ? `${hit.first} (autointerseção)` : `${hit.first} × ${hit.second}`;
+            row.textContent = `X${index + 1} ${curves}: t1 = ${hit.t1.toFixed(4)}, t2 = ${hit.t2.toFixed(4)}, ` +
+                `(${hit.x.toFixed(2)}, ${hit.y.toFixed(2)})`;
+            container.appendChild(row);
+        });
+    },
+
+    /**
+     * Mostra o comprimento de arco da curva atual
+     * @param {number|null} length - Comprimento em pixels (null se não há curva)
+     */
+    updateCurveLength(length) {
+        const element = document.getElementById('curve-length');
+        if (element) {
+            element.textContent = length === null ? 'Comprimento: —' : `Comprimento: ${length.toFixed(2)} px`;
+        }
+    },
+
+    /**
+     * Mostra o relatório da última importação: erros com o caminho do campo
+     * (arquivo rejeitado) ou os ajustes feitos nos dados (arquivo importado)
+     * @param {Object} report - {title, status: 'success' | 'error', items: [{path, message}]}
+     */
+    showImportReport(report) {
+        const container = document.getElementById('import-report');
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.className = `import-report ${report.status}`;
+
+        const title = document.createElement('strong');
+        title.textContent = report.title;
+        container.appendChild(title);
+
+        const close = document.createElement('button');
+        close.textContent = '✕';
+        close.title = 'Fechar relatório';
+        close.addEventListener('click', () => this.hideImportReport());
+        container.appendChild(close);
+
+        const summary = document.createElement('p');
+        if (report.status === 'error') {
+            summary.textContent = `${report.items.length} erro(s) encontrado(s):`;
+        } else {
+            summary.textContent = report.items.length > 0
+                ? `${report.items.length} ajuste(s) feito(s) nos dados:`
+                : 'Nenhum ajuste foi necessário.';
+        }
+        container.appendChild(summary);
+
+        if (report.items.length > 0) {
+            const list = document.createElement('ul');
+            report.items.forEach(item => {
+                const row = document.createElement('li');
+                const path = document.createElement('code');
+                path.textContent = item.path || '(raiz)';
+                row.appendChild(path);
+                row.appendChild(document.createTextNode(`: ${item.message}`));
+                list.appendChild(row);
+            });
+            container.appendChild(list);
+        }
+
+        container.style.display = 'block';
+    },
+
+    /**
+     * Esconde o relatório de importação
+     */
+    hideImportReport() {
+        const container = document.getElementById('import-report');
+        if (container) container.style.display = 'none';
+    },
+
+    /**
+     * Habilita os botões de desfazer/refazer e mostra o comando de cada um
+     * @param {Object} status - Estado do histórico {undoLabel, redoLabel, size}
+     */
+    updateHistoryControls(status) {
+        const undo = document.getElementById('undo-button');
+        if (undo) {
+            undo.disabled = !status.undoLabel;
+            undo.title = status.undoLabel ? `Desfazer: ${status.undoLabel} (Ctrl+Z)` : 'Nada para desfazer';
+        }
+
+        const redo = document.getElementById('redo-button');
+        if (redo) {
+            redo.disabled = !status.redoLabel;
+            redo.title = status.redoLabel ? `Refazer: ${status.redoLabel} (Ctrl+Shift+Z)` : 'Nada para refazer';
+        }
+    },
+
     /**
      * Define o índice do ponto selecionado
      * @param {number} index - Índice do ponto